@@ -0,0 +1,231 @@
+/*
+Runs the game simulation under node without a browser.
+
+By default a simple bot steers the player towards the closest enemy and fires whenever it can,
+until the player dies or the tick limit is reached. Pass --record to save the run as a replay.
+
+With --replay a saved replay is played back instead and its result is compared to the result
+stored in the file, which is how score claims and bug reports are checked. Exits with 1 if the
+results do not match.
+
+With --connect the bot joins a room on the relay in server.js and plays an online co-op run with
+whoever else joins it, a browser tab or a second headless client. It prints the latency and the
+update the runs drifted apart at, if they did, and exits with 1 on a desync. Needs node 22, or
+node 20 with --experimental-websocket.
+
+--mods loads mods, a comma separated list of the urls in config.mods like mods/zigzag.js. A replay
+loads the mods it was recorded with by itself, and an online run needs the same mods as the first
+player in the room.
+
+usage: node headless.js [seed] [max_ticks] [--record replay.json] [--mods mods/zigzag.js]
+       node headless.js --replay replay.json
+       node headless.js --connect ws://localhost:8080 [--room name] [max_ticks] [--record replay.json] [--mods mods/zigzag.js]
+*/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const args = process.argv.slice(2);
+const option = name => {
+	const index = args.indexOf(name);
+	return index == -1 ? null : args.splice(index, 2)[1];
+};
+
+const replay_path = option('--replay');
+const record_path = option('--record');
+const connect_url = option('--connect');
+const room = option('--room');
+const mods_option = option('--mods');
+
+/**
+ * Loads the game, with mods if there are any. Mods are plain scripts that use the globals of the
+ * game, like world, so then the game is run as a plain script too instead of as a module.
+ * 
+ * @param {Array<String>} mods The urls of the mods, relative to this directory.
+ * @returns {Object} What space_shooter.js exports.
+ */
+function loadGame(mods) {
+	if (mods.length == 0) {
+		return require('./space_shooter.js');
+	}
+
+	for (let file of ['space_shooter.js', ...mods]) {
+		vm.runInThisContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), { filename: file });
+	}
+	const game = vm.runInThisContext('({ config, Enemy, World, Recorder, ReplayInput, runResult, stateHash, NetSession, Game })');
+	game.config.mods = mods;
+	game.Game.mods.push(...mods);
+	return game;
+}
+
+const mods = replay_path != null
+	? JSON.parse(fs.readFileSync(replay_path, 'utf8')).config.mods || []
+	: (mods_option || '').split(',').filter(mod => mod != '');
+const { config, Enemy, World, Recorder, ReplayInput, runResult, stateHash, NetSession } = loadGame(mods);
+
+/**
+ * Points a controller at the closest enemy above the player.
+ * 
+ * @param {World} world The world the player lives in.
+ * @param {Player} player The player to steer.
+ * @param {Object} controller The controller to write into, online it is not the player's own.
+ */
+function think(world, player = world.player, controller = player.controller) {
+	const enemies = world.entities.all(Enemy)
+		.filter(enemy => enemy.position.y < player.position.y);
+
+	let target = null;
+	enemies.forEach(enemy => {
+		if (target == null || enemy.position.y > target.position.y) {
+			target = enemy;
+		}
+	});
+
+	controller.move_x = 0;
+	controller.move_y = 0;
+	controller.action_1 = !player.isDead() && target != null;
+
+	if (target != null && Math.abs(target.position.x - player.position.x) > 2) {
+		controller.move_x = Math.sign(target.position.x - player.position.x);
+	}
+}
+
+/**
+ * @param {World} world A world.
+ * @returns {Object} The stats of the world's current run.
+ */
+function stats(world) {
+	return {
+		seed: world.seed,
+		ticks: world.loop_count,
+		score: world.score,
+		enemies_hit: world.enemies_hit,
+		enemy_count: world.enemy_count,
+		time_alive: world.time_alive,
+		health: world.player.health
+	};
+}
+
+/**
+ * Plays a replay file to its end and checks it against its stored result.
+ * 
+ * @param {String} path Path to the replay file.
+ */
+function replay(path) {
+	const replay_input = new ReplayInput(JSON.parse(fs.readFileSync(path, 'utf8')));
+	const world = replay_input.createWorld();
+
+	while (!replay_input.finished) {
+		replay_input.players = world.players;
+		replay_input.pollController();
+		world.update(replay_input.replay.config.update_rate.seconds);
+	}
+
+	const matches = JSON.stringify(runResult(world)) === JSON.stringify(replay_input.replay.result);
+
+	console.log(JSON.stringify({ ...stats(world), matches }));
+	process.exitCode = matches ? 0 : 1;
+}
+
+/**
+ * Lets the bot play a run.
+ * 
+ * @param {Number} seed The seed of the run.
+ * @param {Number} max_ticks The most updates to run for.
+ * @param {String} record_path Where to save the replay of the run, if anywhere.
+ */
+function play(seed, max_ticks, record_path) {
+	const world = new World(config, seed);
+	const recorder = new Recorder(world);
+
+	while (world.loop_count < max_ticks && !world.isOver()) {
+		think(world);
+		recorder.record(world.player.controller);
+		world.update(config.update_rate.seconds);
+	}
+
+	if (record_path != null) {
+		fs.writeFileSync(record_path, JSON.stringify(recorder));
+	}
+
+	console.log(JSON.stringify(stats(world)));
+}
+
+/**
+ * Lets the bot play an online run as one of the players, as fast as the other client keeps up.
+ * 
+ * @param {String} url The WebSocket url of the relay server.
+ * @param {String} room The room to join.
+ * @param {Number} max_ticks The most updates to run for.
+ * @param {String} record_path Where to save the replay of the run, if anywhere.
+ */
+function online(url, room, max_ticks, record_path) {
+	if (typeof WebSocket === 'undefined') {
+		console.error('This node has no WebSocket, use node 22 or run node with --experimental-websocket');
+		process.exitCode = 1;
+		return;
+	}
+
+	const session = new NetSession(new WebSocket(url), room, config);
+	const controller = { move_x: 0, move_y: 0, action_1: false, bomb: false };
+	let world = null;
+	let recorder = null;
+
+	const finish = () => {
+		clearInterval(timer);
+		session.close('finished');
+
+		if (world == null) {
+			console.error(session.error);
+			process.exitCode = 1;
+			return;
+		}
+		if (record_path != null) {
+			fs.writeFileSync(record_path, JSON.stringify(recorder));
+		}
+
+		console.log(JSON.stringify({
+			...stats(world),
+			slot: session.slot,
+			latency: session.latency,
+			hash: stateHash(world),
+			desync_tick: session.desync_tick,
+			left: [...session.left]
+		}));
+		process.exitCode = session.desync_tick == null ? 0 : 1;
+	};
+
+	// step until the input of the other client runs out, then give the socket a turn
+	const timer = setInterval(() => {
+		if (session.status == 'closed' || session.desync_tick != null) {
+			finish();
+			return;
+		}
+		if (session.status != 'playing') {
+			return;
+		}
+
+		if (world == null) {
+			world = session.createWorld();
+			recorder = new Recorder(world);
+		}
+
+		while (world.loop_count < max_ticks && !world.isOver()) {
+			think(world, world.players[session.slot], controller);
+			if (!session.step(world, controller)) {
+				return;
+			}
+			recorder.record(...world.players.map(player => player.controller));
+		}
+		finish();
+	}, 1);
+}
+
+if (replay_path != null) {
+	replay(replay_path);
+} else if (connect_url != null) {
+	online(connect_url, room || 'default', Number(args[0] || 60 * 60 * 5), record_path);
+} else {
+	play(Number(args[0] || 1), Number(args[1] || 60 * 60 * 5), record_path);
+}
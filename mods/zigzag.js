@@ -0,0 +1,94 @@
+/*
+An example mod, showing the mod API of space_shooter.js. It adds an enemy that zigzags down the
+board, a weapon that fires two shots side by side, and a rule: destroying a zigzag gives the
+player a short burst of speed.
+
+To play with it add its url to the mods list in the config of space_shooter.js:
+    mods: ['mods/zigzag.js']
+*/
+
+/**
+ * An enemy that falls down the board while switching between flying left and right.
+ * 
+ * @typedef ZigzagEnemy
+ */
+class ZigzagEnemy extends Enemy {
+	speed = 80;
+	score_value = 45;
+	color = '#FF69B4';
+	// the sideways speed in pixels per second
+	sideways_speed = 90;
+	// seconds between turns
+	turn_time = 0.6;
+
+	spawn(x) {
+		super.spawn(x);
+
+		// 1 for right, -1 for left, the first direction is random
+		this.direction = world.rng.next() < 0.5 ? 1 : -1;
+		this.turn_timer = this.turn_time;
+	}
+
+	/**
+	 * Draws a zigzag line the height of the enemy.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+		graphics.strokeStyle = this.color;
+		graphics.beginPath();
+		graphics.moveTo(this.position.x - this.half_size.width, this.position.y - this.half_size.height);
+		graphics.lineTo(this.position.x + this.half_size.width, this.position.y - this.half_size.height);
+		graphics.lineTo(this.position.x - this.half_size.width, this.position.y + this.half_size.height);
+		graphics.lineTo(this.position.x + this.half_size.width, this.position.y + this.half_size.height);
+		graphics.stroke();
+	}
+
+	/**
+	 * Falls at a steady speed and turns around every turn time, or when it reaches an edge.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	move(delta_time) {
+		this.turn_timer -= delta_time;
+		const width = world.config.canvas_size.width;
+		if (this.turn_timer <= 0 || this.position.x <= 0 || this.position.x >= width) {
+			this.turn_timer = this.turn_time;
+			this.direction = this.position.x <= 0 ? 1 : this.position.x >= width ? -1 : -this.direction;
+		}
+
+		this.velocity = { x: this.direction * this.sideways_speed, y: this.speed };
+	}
+}
+
+/**
+ * A weapon that fires two projectiles side by side.
+ * 
+ * @typedef TwinWeapon
+ */
+class TwinWeapon extends Weapon {
+	name = 'twin';
+	fire_interval = 0.4;
+	// the distance between the two shots in pixels
+	gap = 10;
+
+	fire(owner) {
+		[-this.gap / 2, this.gap / 2].forEach(offset => {
+			this.shoot(owner, 0, { x: owner.position.x + offset, y: owner.position.y });
+		});
+	}
+}
+
+Game.registerEntityType('zigzag', ZigzagEnemy);
+Game.registerWeapon('twin', TwinWeapon, { label: 'T', color: '#FF69B4', duration: 10 });
+
+// zigzags join the drifters of the third wave
+config.waves.waves[2].groups.push({ type: 'zigzag', count: 6, interval: 1, delay: 2, x_range: [0.2, 0.7] });
+
+Game.registerHooks({
+	onKill: event => {
+		if (event.type == 'zigzag' && event.player != null) {
+			event.player.effects.speed = 2;
+		}
+	}
+});
@@ -0,0 +1,452 @@
+/*
+Relays online co-op games between clients, and serves the game itself so two browser tabs can
+play against each other on one machine.
+
+Clients connect over WebSocket and join a room by name. Once a room has two players the server
+picks the seed, hands out the config of the first player and starts the game on both clients.
+From then on it only passes the inputs and state hashes of every client on to the other one, the
+clients run the simulation themselves in lockstep. See the network section of space_shooter.js.
+
+The WebSocket protocol is implemented here on top of the http module, so the server has no
+dependencies.
+
+usage: node server.js [port]
+then open http://localhost:8080/space_shooter.html in two tabs, or run two headless clients with
+       node headless.js --connect ws://localhost:8080 --room test
+*/
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// the magic string from RFC 6455 used to answer the handshake
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// the players in a room
+const ROOM_SIZE = 2;
+
+// frames larger than this close the connection, game messages are tiny
+const MAX_PAYLOAD = 64 * 1024;
+
+// the files the server hands out and their content types, anything else is not found
+const content_types = {
+	'.html': 'text/html',
+	'.js': 'text/javascript',
+	'.css': 'text/css',
+	'.svg': 'image/svg+xml'
+};
+
+/**
+ * A single WebSocket connection. Parses the frames coming in on the socket and writes text frames
+ * going out. Only the parts of the protocol a browser uses for text messages are supported.
+ * 
+ * @typedef Connection
+ */
+class Connection {
+	/**
+	 * @param {net.Socket} socket The socket of the upgraded http request.
+	 */
+	constructor(socket) {
+		this.socket = socket;
+		// bytes received but not yet parsed into frames
+		this.buffer = Buffer.alloc(0);
+		// the payloads of a message split over several frames
+		this.fragments = [];
+		this.closed = false;
+
+		/** @type {Function} Called with the text of every message */
+		this.onmessage = () => {};
+		/** @type {Function} Called once the connection is closed, from either side */
+		this.onclose = () => {};
+
+		socket.on('data', data => {
+			this.buffer = Buffer.concat([this.buffer, data]);
+			this.parse();
+		});
+		socket.on('close', () => this.closed || this.finish());
+		socket.on('error', () => this.close());
+	}
+
+	/**
+	 * Reads every complete frame from the buffer.
+	 */
+	parse() {
+		while (!this.closed && this.buffer.length >= 2) {
+			const fin = (this.buffer[0] & 0x80) != 0;
+			const opcode = this.buffer[0] & 0x0F;
+			const masked = (this.buffer[1] & 0x80) != 0;
+			let length = this.buffer[1] & 0x7F;
+			let offset = 2;
+
+			if (length == 126) {
+				if (this.buffer.length < 4) {
+					return;
+				}
+				length = this.buffer.readUInt16BE(2);
+				offset = 4;
+			} else if (length == 127) {
+				if (this.buffer.length < 10) {
+					return;
+				}
+				length = Number(this.buffer.readBigUInt64BE(2));
+				offset = 10;
+			}
+
+			// clients always mask their frames
+			if (!masked || length > MAX_PAYLOAD) {
+				this.close(1002);
+				return;
+			}
+			if (this.buffer.length < offset + 4 + length) {
+				return;
+			}
+
+			const mask = this.buffer.subarray(offset, offset + 4);
+			const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+			for (let i = 0; i < payload.length; i++) {
+				payload[i] ^= mask[i % 4];
+			}
+			this.buffer = this.buffer.subarray(offset + 4 + length);
+
+			this.handleFrame(fin, opcode, payload);
+		}
+	}
+
+	/**
+	 * @param {Boolean} fin true if this is the last frame of a message.
+	 * @param {Number} opcode The kind of frame.
+	 * @param {Buffer} payload The unmasked payload.
+	 */
+	handleFrame(fin, opcode, payload) {
+		switch (opcode) {
+			// text and continuation frames
+			case 0x0:
+			case 0x1:
+				this.fragments.push(payload);
+				if (this.fragments.reduce((total, fragment) => total + fragment.length, 0) > MAX_PAYLOAD) {
+					this.close(1009);
+					return;
+				}
+				if (fin) {
+					const text = Buffer.concat(this.fragments).toString('utf8');
+					this.fragments = [];
+					// a bad message only costs the connection that sent it, never the server
+					try {
+						this.onmessage(text);
+					} catch (error) {
+						console.warn(`Dropping connection after a bad message: ${error.message}`);
+						this.close(1011);
+					}
+				}
+				break;
+			// close
+			case 0x8:
+				this.close();
+				break;
+			// ping, answered with a pong carrying the same payload
+			case 0x9:
+				this.write(0xA, payload);
+				break;
+			// pong and binary frames are ignored
+			default:
+				break;
+		}
+	}
+
+	/**
+	 * Writes a single unmasked frame.
+	 * 
+	 * @param {Number} opcode The kind of frame.
+	 * @param {Buffer} payload The payload.
+	 */
+	write(opcode, payload) {
+		if (this.closed) {
+			return;
+		}
+
+		let header;
+		if (payload.length < 126) {
+			header = Buffer.from([0x80 | opcode, payload.length]);
+		} else if (payload.length < 65536) {
+			header = Buffer.alloc(4);
+			header[0] = 0x80 | opcode;
+			header[1] = 126;
+			header.writeUInt16BE(payload.length, 2);
+		} else {
+			header = Buffer.alloc(10);
+			header[0] = 0x80 | opcode;
+			header[1] = 127;
+			header.writeBigUInt64BE(BigInt(payload.length), 2);
+		}
+		this.socket.write(Buffer.concat([header, payload]));
+	}
+
+	/**
+	 * Sends a message as JSON in a text frame.
+	 * 
+	 * @param {Object} message The message to send.
+	 */
+	send(message) {
+		this.write(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+	}
+
+	/**
+	 * Sends a close frame and ends the socket.
+	 * 
+	 * @param {Number} code The close status code, 1000 is a normal close.
+	 */
+	close(code = 1000) {
+		if (this.closed) {
+			return;
+		}
+
+		const payload = Buffer.alloc(2);
+		payload.writeUInt16BE(code);
+		this.write(0x8, payload);
+		this.socket.end();
+		this.finish();
+	}
+
+	/**
+	 * Marks the connection as closed and reports it, once.
+	 */
+	finish() {
+		this.closed = true;
+		this.onclose();
+	}
+}
+
+/**
+ * A named room of up to ROOM_SIZE players. Hands out the player slots, starts the game once the
+ * room is full and relays the game messages between the players.
+ * 
+ * @typedef Room
+ */
+class Room {
+	/**
+	 * @param {String} name The name the players joined with.
+	 */
+	constructor(name) {
+		this.name = name;
+		/** @type {Array<Connection>} The connection in every slot, null for a free slot */
+		this.slots = new Array(ROOM_SIZE).fill(null);
+		// the config of the first player, which both players use
+		this.config = null;
+		this.started = false;
+	}
+
+	/**
+	 * @type {Boolean} true if nobody is in the room anymore.
+	 */
+	get empty() {
+		return this.slots.every(slot => slot == null);
+	}
+
+	/**
+	 * Puts a connection in the first free slot and starts the game if the room is full. Rooms that
+	 * are full or already playing turn the connection away.
+	 * 
+	 * @param {Connection} connection The connection joining.
+	 * @param {Object} config The game config of the joining client.
+	 * @returns {Number} The slot of the connection, or -1 if it was turned away.
+	 */
+	join(connection, config) {
+		const slot = this.slots.indexOf(null);
+		if (this.started || slot == -1) {
+			connection.send({ type: 'full', room: this.name });
+			return -1;
+		}
+
+		this.slots[slot] = connection;
+		if (slot == 0) {
+			this.config = config;
+		}
+		connection.send({ type: 'joined', room: this.name, slot: slot });
+
+		if (this.slots.every(slot => slot != null)) {
+			this.started = true;
+			const seed = crypto.randomBytes(4).readUInt32BE(0);
+			this.slots.forEach((other, index) => other.send({
+				type: 'start',
+				slot: index,
+				seed: seed,
+				players: ROOM_SIZE,
+				config: this.config
+			}));
+		}
+		return slot;
+	}
+
+	/**
+	 * Frees the slot of a connection and tells everyone left in the room.
+	 * 
+	 * @param {Number} slot The slot of the connection leaving.
+	 */
+	leave(slot) {
+		this.slots[slot] = null;
+		this.broadcast(slot, { type: 'left', slot: slot });
+	}
+
+	/**
+	 * Sends a message to every connection in the room but the sender.
+	 * 
+	 * @param {Number} sender The slot the message came from.
+	 * @param {Object} message The message, stamped with the slot of the sender.
+	 */
+	broadcast(sender, message) {
+		message.slot = sender;
+		this.slots.forEach((connection, index) => {
+			if (connection != null && index != sender) {
+				connection.send(message);
+			}
+		});
+	}
+}
+
+/** @type {Map<String, Room>} Every room with someone in it, by name */
+const rooms = new Map();
+
+/**
+ * Handles the messages of a connection until it closes.
+ * 
+ * @param {Connection} connection A new connection.
+ */
+function serve(connection) {
+	let room = null;
+	let slot = -1;
+
+	connection.onmessage = text => {
+		let message;
+		try {
+			message = JSON.parse(text);
+		} catch (error) {
+			connection.close(1003);
+			return;
+		}
+		// valid JSON such as null or a number is not a message either
+		if (message === null || typeof message !== 'object') {
+			connection.close(1003);
+			return;
+		}
+
+		switch (message.type) {
+			case 'join': {
+				if (room != null) {
+					return;
+				}
+				const name = String(message.room || 'default').slice(0, 32);
+				if (!rooms.has(name)) {
+					rooms.set(name, new Room(name));
+				}
+				room = rooms.get(name);
+				slot = room.join(connection, message.config);
+				if (slot == -1) {
+					room = null;
+					connection.close();
+				}
+				break;
+			}
+			case 'ping':
+				connection.send({ type: 'pong', time: message.time });
+				break;
+			case 'input':
+			case 'hash':
+				if (room != null && room.started) {
+					room.broadcast(slot, { type: message.type, tick: message.tick, code: message.code, hash: message.hash });
+				}
+				break;
+			default:
+				break;
+		}
+	};
+
+	connection.onclose = () => {
+		if (room == null) {
+			return;
+		}
+		room.leave(slot);
+		if (room.empty) {
+			rooms.delete(room.name);
+		}
+		room = null;
+	};
+}
+
+/**
+ * Answers the WebSocket handshake of an upgrade request.
+ * 
+ * @param {http.IncomingMessage} request The upgrade request.
+ * @param {net.Socket} socket The socket of the request.
+ */
+function upgrade(request, socket) {
+	const key = request.headers['sec-websocket-key'];
+	if (request.headers.upgrade == null || request.headers.upgrade.toLowerCase() != 'websocket' || key == null) {
+		socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+		return;
+	}
+
+	const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+	socket.write([
+		'HTTP/1.1 101 Switching Protocols',
+		'Upgrade: websocket',
+		'Connection: Upgrade',
+		`Sec-WebSocket-Accept: ${accept}`,
+		'', ''
+	].join('\r\n'));
+	socket.setNoDelay(true);
+
+	serve(new Connection(socket));
+}
+
+/**
+ * Serves the files of the game from the directory of this script.
+ * 
+ * @param {http.IncomingMessage} request The request.
+ * @param {http.ServerResponse} response The response.
+ */
+function serveFile(request, response) {
+	let pathname;
+	try {
+		const url = new URL(request.url, 'http://localhost');
+		pathname = decodeURIComponent(url.pathname == '/' ? '/space_shooter.html' : url.pathname);
+	} catch (error) {
+		response.writeHead(400);
+		response.end();
+		return;
+	}
+	const file = path.join(__dirname, pathname);
+	const type = content_types[path.extname(file)];
+
+	if (!file.startsWith(__dirname + path.sep) || type == null) {
+		response.writeHead(404);
+		response.end();
+		return;
+	}
+
+	fs.readFile(file, (error, data) => {
+		if (error) {
+			response.writeHead(404);
+			response.end();
+			return;
+		}
+		response.writeHead(200, { 'Content-Type': type });
+		response.end(data);
+	});
+}
+
+const port = Number(process.argv[2] || 8080);
+// a bad request only fails itself, never the rooms being played
+const server = http.createServer((request, response) => {
+	request.on('error', () => response.destroy());
+	try {
+		serveFile(request, response);
+	} catch (error) {
+		console.warn(`Dropping request for ${request.url}: ${error.message}`);
+		response.writeHead(500);
+		response.end();
+	}
+});
+server.on('clientError', (error, socket) => socket.destroyed || socket.end('HTTP/1.1 400 Bad Request\r\n\r\n'));
+server.on('upgrade', upgrade);
+server.listen(port, () => console.log(`listening on http://localhost:${server.address().port}/space_shooter.html`));
@@ -5,39 +5,198 @@
 */
 
 /**
- * This class binds key listeners to the window and updates the controller in attached player body.
+ * This class binds key listeners to the window, polls connected gamepads and the touch controls
+ * and updates the controller in attached player body. It is only used by the browser, headless
+ * runs write to the player controller directly.
+ * 
+ * Keys are bound to actions by their event.code, several keys can trigger the same action and the
+ * bindings can be changed and are saved to local storage. Gamepad sticks give continuous values
+ * between -1 and 1 on the movement axes, keys always give whole steps.
+ * 
+ * The polled state is also kept on the handler itself, so the menus can read it while no player is
+ * attached and can tell when a button was just pressed.
+ * 
+ * Local co-op uses a second handler with its own bindings for player two, see player_two_bindings.
  * 
  * @typedef InputHandler
  */
 class InputHandler {
-	key_code_mappings = {
+	// every action that can be bound, buttons set their state to true and axis add their mod
+	actions = {
 		button: {
-			32: { key: 'space', state: 'action_1' }
+			fire: { state: 'action_1' },
+			bomb: { state: 'bomb' },
+			pause: { state: 'pause' },
+			leaderboard: { state: 'leaderboard' },
+			debug: { state: 'debug' },
+			mute: { state: 'mute' },
+			options: { state: 'options' },
+			co_op: { state: 'co_op' },
+			continue: { state: 'continue' }
 		},
 		axis: {
-			68: { key: 'right', state: 'move_x', mod: 1 },
-			65: { key: 'left', state: 'move_x', mod: -1 },
-			87: { key: 'up', state: 'move_y', mod: -1 },
-			83: { key: 'down', state: 'move_y', mod: 1 }
+			right: { state: 'move_x', mod: 1 },
+			left: { state: 'move_x', mod: -1 },
+			up: { state: 'move_y', mod: -1 },
+			down: { state: 'move_y', mod: 1 }
 		}
 	};
+	// the keys every action is bound to when nothing else was saved
+	default_bindings = {
+		fire: ['Space'],
+		bomb: ['KeyB'],
+		pause: ['Escape', 'KeyP'],
+		leaderboard: ['KeyL'],
+		debug: ['Backquote', 'F3'],
+		mute: ['KeyM'],
+		options: ['KeyO'],
+		co_op: ['Digit2'],
+		continue: ['KeyC'],
+		right: ['KeyD', 'ArrowRight'],
+		left: ['KeyA', 'ArrowLeft'],
+		up: ['KeyW', 'ArrowUp'],
+		down: ['KeyS', 'ArrowDown']
+	};
+	// the standard gamepad layout buttons mapped to actions
+	gamepad_mappings = {
+		0: 'fire',
+		7: 'fire',
+		1: 'bomb',
+		9: 'pause',
+		8: 'leaderboard',
+		12: 'up',
+		13: 'down',
+		14: 'left',
+		15: 'right'
+	};
+	// stick deflections below this are treated as zero
+	dead_zone = 0.2;
+	// the index of the only gamepad polled, null to poll every gamepad
+	gamepad_index = null;
+	storage_key = 'space_shooter.bindings';
+	raw_input = {};
+	// the state of every action state after the last poll
+	controller = {};
+	// the state before the last poll, used to detect presses
+	previous_controller = {};
+	// the names of the keys typed since the last call to takeTypedKeys, used for text entry
+	typed_keys = [];
+	// called with the code of the next key pressed instead of handling it, used for rebinding
+	capture = null;
+	/** @type {TouchInput} Polled together with the keyboard and gamepads, if set */
+	touch_input = null;
+	/** @type {InputHandler} Another handler whose keys are ignored by this one, if set */
+	yield_to = null;
 	player = null;
 
-	constructor(player) {
+	/**
+	 * @param {Player} player The player to control, can be changed later.
+	 * @param {Object<String, Array<String>>} default_bindings Replaces the default bindings, also
+	 * limits the actions this handler triggers to the ones bound in it.
+	 * @param {String} storage_key Where the bindings are saved, needed with other default bindings.
+	 */
+	constructor(player, default_bindings = null, storage_key = null) {
 		this.player = player;
+		if (default_bindings != null) {
+			this.default_bindings = default_bindings;
+			this.storage_key = storage_key;
+		}
+		this.loadBindings();
 
 		// bind event listeners
 		window.addEventListener("keydown", (event) => this.keydown(event), false);
 		window.addEventListener("keyup", (event) => this.keyup(event), false);
 	}
 
+	/**
+	 * Reads the saved bindings, falling back to the defaults for every action without saved keys.
+	 */
+	loadBindings() {
+		let saved = {};
+		try {
+			saved = JSON.parse(localStorage.getItem(this.storage_key)) || {};
+		} catch (error) {
+			console.warn(`Dropping saved key bindings: ${error.message}`);
+		}
+
+		/** @type {Object<String, Array<String>>} The key codes bound to every action */
+		this.bindings = {};
+		for (let [action, codes] of Object.entries(this.default_bindings)) {
+			this.bindings[action] = Array.isArray(saved[action]) ? saved[action] : codes.slice();
+		}
+	}
+
+	/**
+	 * Writes the bindings to local storage.
+	 */
+	saveBindings() {
+		localStorage.setItem(this.storage_key, JSON.stringify(this.bindings));
+	}
+
+	/**
+	 * Sets the bindings of every action back to the defaults and saves them.
+	 */
+	resetBindings() {
+		localStorage.removeItem(this.storage_key);
+		this.loadBindings();
+	}
+
+	/**
+	 * Binds a key to an action and saves the bindings. A key can only trigger a single action, so
+	 * it is taken away from any other action first.
+	 * 
+	 * @param {String} action The name of the action.
+	 * @param {String} code The event.code of the key.
+	 */
+	bind(action, code) {
+		this.unbind(code);
+		this.bindings[action].push(code);
+		this.saveBindings();
+	}
+
+	/**
+	 * Takes a key away from whatever action it is bound to and saves the bindings.
+	 * 
+	 * @param {String} code The event.code of the key.
+	 */
+	unbind(code) {
+		for (let action of Object.keys(this.bindings)) {
+			this.bindings[action] = this.bindings[action].filter(bound => bound != code);
+		}
+		this.saveBindings();
+	}
+
 	/**
 	 * This is called every time a keydown event is thrown on the window.
 	 * 
 	 * @param {Object} event The keydown event
 	 */
 	keydown(event) {
-		this.player.raw_input[event.keyCode] = true;
+		if (this.capture != null) {
+			const capture = this.capture;
+			this.capture = null;
+			event.preventDefault();
+			capture(event.code);
+			return;
+		}
+
+		// leave the keys to text fields, like the room name
+		if (event.target != null && event.target.tagName == 'INPUT' && event.target.type == 'text') {
+			return;
+		}
+
+		this.raw_input[event.code] = true;
+
+		// keep bound keys like space and the arrows from scrolling the page
+		if (Object.values(this.bindings).some(codes => codes.includes(event.code))) {
+			event.preventDefault();
+		}
+
+		// only keep the last few keys, nobody might be reading them
+		this.typed_keys.push(event.key);
+		if (this.typed_keys.length > 16) {
+			this.typed_keys.shift();
+		}
 	}
 
 	/**
@@ -46,37 +205,408 @@ class InputHandler {
 	 * @param {Object} event The keyup event
 	 */
 	keyup(event) {
-		delete this.player.raw_input[event.keyCode];
+		delete this.raw_input[event.code];
 	}
 
 	resetController() {
 		// reset all buttons to false
-		for (let mapping of Object.values(this.key_code_mappings.button)) {
-			this.player.controller[mapping.state] = false;
+		for (let mapping of Object.values(this.actions.button)) {
+			this.controller[mapping.state] = false;
 		}
 
 		// reset all axis to zero
-		for (let mapping of Object.values(this.key_code_mappings.axis)) {
-			this.player.controller[mapping.state] = 0;
+		for (let mapping of Object.values(this.actions.axis)) {
+			this.controller[mapping.state] = 0;
+		}
+	}
+
+	/**
+	 * Triggers an action in the controller.
+	 * 
+	 * @param {String} action The name of the action.
+	 * @param {Number} amount How far an axis action is pushed, between 0 and 1.
+	 */
+	trigger(action, amount = 1) {
+		if (this.actions.button[action] != null) {
+			this.controller[this.actions.button[action].state] = true;
+		} else {
+			const mapping = this.actions.axis[action];
+			this.controller[mapping.state] += mapping.mod * amount;
+		}
+	}
+
+	/**
+	 * Reads the buttons and the left stick of every connected gamepad.
+	 */
+	pollGamepads() {
+		if (typeof navigator === 'undefined' || navigator.getGamepads == null) {
+			return;
+		}
+
+		for (let gamepad of navigator.getGamepads()) {
+			if (gamepad == null || !gamepad.connected || (this.gamepad_index != null && gamepad.index != this.gamepad_index)) {
+				continue;
+			}
+
+			for (let [index, action] of Object.entries(this.gamepad_mappings)) {
+				const button = gamepad.buttons[index];
+				if (button != null && button.pressed) {
+					this.trigger(action);
+				}
+			}
+
+			const [x = 0, y = 0] = gamepad.axes;
+			if (Math.abs(x) > this.dead_zone) {
+				this.controller.move_x += x;
+			}
+			if (Math.abs(y) > this.dead_zone) {
+				this.controller.move_y += y;
+			}
 		}
 	}
 
 	pollController() {
+		this.previous_controller = Object.assign({}, this.controller);
 		this.resetController();
 
-		// poll all bound buttons
-		for (let [key_code, mapping] of Object.entries(this.key_code_mappings.button)) {
-			if (this.player.raw_input[key_code] === true) {
-				this.player.controller[mapping.state] = true;
+		// poll all bound keys, leaving the keys of the handler this one yields to alone
+		const taken = this.yield_to != null ? Object.values(this.yield_to.bindings).flat() : [];
+		for (let [action, codes] of Object.entries(this.bindings)) {
+			if (codes.some(code => this.raw_input[code] === true && !taken.includes(code))) {
+				this.trigger(action);
+			}
+		}
+
+		this.pollGamepads();
+		if (this.touch_input != null) {
+			this.touch_input.poll(this);
+		}
+
+		// keep the axis in range, rounded so replays can store them exactly
+		for (let mapping of Object.values(this.actions.axis)) {
+			const value = Math.min(Math.max(-1, this.controller[mapping.state]), 1);
+			this.controller[mapping.state] = Math.round(value * 100) / 100;
+		}
+
+		// hand the states the player knows about to the attached player
+		if (this.player != null) {
+			for (let state of Object.keys(this.player.controller)) {
+				this.player.controller[state] = this.controller[state];
+			}
+		}
+	}
+
+	/**
+	 * @param {String} state A button state, like action_1.
+	 * @returns {Boolean} true if the button is down now but was not down before the last poll.
+	 */
+	wasPressed(state) {
+		return this.controller[state] === true && this.previous_controller[state] !== true;
+	}
+
+	/**
+	 * Lets the menus step through items with the movement keys, the d-pad or the stick.
+	 * 
+	 * @param {String} state An axis state, like move_y.
+	 * @param {Number} direction 1 or -1, the direction to check.
+	 * @returns {Boolean} true if the axis is pushed over halfway in the direction now but was not
+	 * before the last poll.
+	 */
+	wasPushed(state, direction) {
+		return this.controller[state] * direction > 0.5 && !(this.previous_controller[state] * direction > 0.5);
+	}
+
+	/**
+	 * @returns {Array<String>} The names of the keys typed since the last call, as given by
+	 * event.key, oldest first.
+	 */
+	takeTypedKeys() {
+		const keys = this.typed_keys;
+		this.typed_keys = [];
+		return keys;
+	}
+}
+
+/**
+ * The keys of player two in local co-op. They include the arrow keys, which player one gives up
+ * while player two is playing.
+ * 
+ * @type {Object<String, Array<String>>}
+ */
+const player_two_bindings = {
+	fire: ['Enter', 'NumpadEnter'],
+	bomb: ['ShiftRight'],
+	right: ['ArrowRight'],
+	left: ['ArrowLeft'],
+	up: ['ArrowUp'],
+	down: ['ArrowDown']
+};
+
+/**
+ * This class turns touch and pen input on the canvas into controller states, so the game can be
+ * played on phones and tablets. Dragging anywhere on the canvas moves a virtual joystick centered
+ * where the drag started, and buttons drawn on the canvas fire, toggle auto fire and pause.
+ * 
+ * It is polled by the InputHandler, which adds its states to the keyboard and gamepad ones. Mouse
+ * pointers are ignored, so nothing changes on desktop, and nothing is drawn until the first touch.
+ * 
+ * @typedef TouchInput
+ */
+class TouchInput {
+	// how far in pixels the joystick can be pushed from its center
+	stick_radius = 40;
+	// pushing the joystick less than this fraction of its radius does nothing
+	dead_zone = 0.15;
+	// the buttons drawn on the canvas, negative positions count from the right and bottom edges
+	buttons = {
+		fire: { label: 'fire', x: -50, y: -60, radius: 28 },
+		auto_fire: { label: 'auto', x: -50, y: -115, radius: 18 },
+		pause: { label: 'II', x: -25, y: 45, radius: 14 }
+	};
+	// maps the id of every pointer that is down to what it is doing, a button name or 'stick'
+	pointers = {};
+	// the center and current position of the joystick while it is held
+	stick = null;
+	// fire without holding the fire button
+	auto_fire = false;
+	// only true once a touch was seen, so the controls are only drawn on touch devices
+	used = false;
+
+	/**
+	 * @param {HTMLCanvasElement} canvas The canvas the game is drawn on.
+	 */
+	constructor(canvas) {
+		this.canvas = canvas;
+
+		// bind event listeners
+		canvas.addEventListener("pointerdown", (event) => this.pointerdown(event), false);
+		canvas.addEventListener("pointermove", (event) => this.pointermove(event), false);
+		canvas.addEventListener("pointerup", (event) => this.pointerup(event), false);
+		canvas.addEventListener("pointercancel", (event) => this.pointerup(event), false);
+	}
+
+	/**
+	 * @param {Object} event A pointer event on the canvas.
+	 * @returns {Object} The position of the pointer in canvas coordinates.
+	 */
+	toCanvas(event) {
+		const bounds = this.canvas.getBoundingClientRect();
+		return {
+			x: (event.clientX - bounds.left - viewport.x) / viewport.scale,
+			y: (event.clientY - bounds.top - viewport.y) / viewport.scale
+		};
+	}
+
+	/**
+	 * @param {String} name A key of buttons.
+	 * @returns {Object} The center of the button in canvas coordinates.
+	 */
+	buttonPosition(name) {
+		const { x, y } = this.buttons[name];
+		return {
+			x: x < 0 ? config.canvas_size.width + x : x,
+			y: y < 0 ? config.canvas_size.height + y : y
+		};
+	}
+
+	/**
+	 * @param {Object} position A position in canvas coordinates.
+	 * @returns {String} The name of the button at the position, or null if there is none.
+	 */
+	buttonAt(position) {
+		for (let [name, button] of Object.entries(this.buttons)) {
+			const center = this.buttonPosition(name);
+			if (Math.hypot(position.x - center.x, position.y - center.y) <= button.radius) {
+				return name;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * This is called every time a pointerdown event is thrown on the canvas.
+	 * 
+	 * @param {Object} event The pointerdown event
+	 */
+	pointerdown(event) {
+		if (event.pointerType == 'mouse') {
+			return;
+		}
+		event.preventDefault();
+		this.used = true;
+
+		const position = this.toCanvas(event);
+		const button = this.buttonAt(position);
+
+		if (button == 'auto_fire') {
+			this.auto_fire = !this.auto_fire;
+		}
+
+		if (button != null) {
+			this.pointers[event.pointerId] = button;
+		} else if (this.stick == null) {
+			this.pointers[event.pointerId] = 'stick';
+			this.stick = { center: position, position: position };
+		}
+	}
+
+	/**
+	 * This is called every time a pointermove event is thrown on the canvas.
+	 * 
+	 * @param {Object} event The pointermove event
+	 */
+	pointermove(event) {
+		if (this.pointers[event.pointerId] == 'stick') {
+			event.preventDefault();
+			this.stick.position = this.toCanvas(event);
+		}
+	}
+
+	/**
+	 * This is called every time a pointerup or pointercancel event is thrown on the canvas.
+	 * 
+	 * @param {Object} event The pointerup event
+	 */
+	pointerup(event) {
+		if (this.pointers[event.pointerId] == 'stick') {
+			this.stick = null;
+		}
+		delete this.pointers[event.pointerId];
+	}
+
+	/**
+	 * Adds the touch controls to the controller of an input handler.
+	 * 
+	 * @param {InputHandler} input_handler The input handler being polled.
+	 */
+	poll(input_handler) {
+		const held = Object.values(this.pointers);
+
+		// auto fire only while a run is played, the menus wait for the fire button to be pressed
+		if (held.includes('fire') || (this.auto_fire && state_machine != null && state_machine.state.auto_fire)) {
+			input_handler.trigger('fire');
+		}
+		if (held.includes('pause')) {
+			input_handler.trigger('pause');
+		}
+
+		if (this.stick != null) {
+			let x = (this.stick.position.x - this.stick.center.x) / this.stick_radius;
+			let y = (this.stick.position.y - this.stick.center.y) / this.stick_radius;
+			const length = Math.hypot(x, y);
+
+			if (length > this.dead_zone) {
+				// keep the knob inside the joystick
+				if (length > 1) {
+					x /= length;
+					y /= length;
+				}
+				input_handler.controller.move_x += x;
+				input_handler.controller.move_y += y;
 			}
 		}
+	}
+
+	/**
+	 * Draws the joystick while it is held and the buttons, once the touch controls were used.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+		if (!this.used) {
+			return;
+		}
+
+		graphics.strokeStyle = '#888888';
+		graphics.fillStyle = '#888888';
+		graphics.textAlign = "center";
+		graphics.font = "10px Arial";
 
-		// poll all bound axis
-		for (let [key_code, mapping] of Object.entries(this.key_code_mappings.axis)) {
-			if (this.player.raw_input[key_code] === true) {
-				this.player.controller[mapping.state] += mapping.mod;
+		const held = Object.values(this.pointers);
+		for (let [name, button] of Object.entries(this.buttons)) {
+			const center = this.buttonPosition(name);
+			graphics.beginPath();
+			graphics.arc(center.x, center.y, button.radius, 0, 2 * Math.PI);
+			graphics.stroke();
+
+			// fill the buttons that are held or switched on
+			if (held.includes(name) || (name == 'auto_fire' && this.auto_fire)) {
+				graphics.globalAlpha = 0.3;
+				graphics.fill();
+				graphics.globalAlpha = 1;
 			}
+			graphics.fillText(button.label, center.x, center.y + 3);
+		}
+
+		if (this.stick != null) {
+			const { center, position } = this.stick;
+			const distance = Math.hypot(position.x - center.x, position.y - center.y);
+			const scale = distance > this.stick_radius ? this.stick_radius / distance : 1;
+
+			graphics.beginPath();
+			graphics.arc(center.x, center.y, this.stick_radius, 0, 2 * Math.PI);
+			graphics.stroke();
+
+			graphics.beginPath();
+			graphics.arc(
+				center.x + (position.x - center.x) * scale,
+				center.y + (position.y - center.y) * scale,
+				12, 0, 2 * Math.PI
+			);
+			graphics.fill();
 		}
+
+		graphics.textAlign = "left";
+	}
+}
+
+/* 
+------------------------------
+------ RANDOM SECTION -------- 
+------------------------------
+*/
+
+/**
+ * A small seedable pseudo random number generator (mulberry32). All randomness in the game goes
+ * through the world's instance of this class so that the same seed always plays out the same way.
+ * 
+ * @typedef Random
+ */
+class Random {
+	/**
+	 * Creates a new generator.
+	 * 
+	 * @param {Number} seed Any number, only the lower 32 bits are used.
+	 */
+	constructor(seed) {
+		this.state = seed >>> 0;
+	}
+
+	/**
+	 * @returns {Number} A random unsigned 32 bit integer.
+	 */
+	int() {
+		this.state = (this.state + 0x6D2B79F5) >>> 0;
+		let t = this.state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return (t ^ (t >>> 14)) >>> 0;
+	}
+
+	/**
+	 * @returns {Number} A random number in the range [0, 1), used in place of Math.random().
+	 */
+	next() {
+		return this.int() / 4294967296;
+	}
+
+	/**
+	 * @param {Number} min The lower bound, inclusive.
+	 * @param {Number} max The upper bound, exclusive.
+	 * @returns {Number} A random number in the range [min, max).
+	 */
+	range(min, max) {
+		return min + this.next() * (max - min);
 	}
 }
 
@@ -97,15 +627,15 @@ class Body {
 	velocity = { x: 0, y: 0 };
 	size = { width: 10, height: 10 };
 	health = 100;
+	// bodies only damage bodies of other teams, null for bodies that take no part in combat
+	team = null;
 
 	/**
 	 * Creates a new body with all of the default attributes
 	 */
 	constructor() {
-		// generate and assign the next body id
-		this.id = running_id++;
-		// add to the entity map
-		entities[this.id] = this;
+		// assign the next body id and add to the entity manager
+		world.entities.add(this);
 	}
 
 	/**
@@ -138,12 +668,29 @@ class Body {
 	}
 
 	/**
-	 * This function draws a green line in the direction of the body's velocity. The length of this
-	 * line is equal to a tenth of the length of the real velocity
+	 * Draws the body. Does nothing by default, subclasses override it to draw themselves.
 	 * 
 	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
 	 */
 	draw(graphics) {
+	}
+
+	/**
+	 * This function draws the hitbox of the body and a green line in the direction of the body's
+	 * velocity. The length of this line is equal to a tenth of the length of the real velocity. Only
+	 * drawn while the debug overlay is on.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	drawDebug(graphics) {
+		graphics.strokeStyle = '#FF00FF';
+		graphics.strokeRect(
+			this.position.x - this.half_size.width,
+			this.position.y - this.half_size.height,
+			this.size.width,
+			this.size.height
+		);
+
 		graphics.strokeStyle = '#00FF00';
 		graphics.beginPath();
 		graphics.moveTo(this.position.x, this.position.y);
@@ -151,89 +698,319 @@ class Body {
 		graphics.stroke();
 	}
 
+	/**
+	 * Decreases the health of this body, health never drops below zero.
+	 * 
+	 * @param {Number} amount The health to remove.
+	 * @param {Body} source The body the damage came from, if any.
+	 */
+	takeDamage(amount, source = null) {
+		this.health = Math.max(0, this.health - amount);
+	}
+
+	/**
+	 * Called by the collision handler when this body overlaps another body. Does nothing by default,
+	 * subclasses override it to react to the collision.
+	 * 
+	 * @param {Body} other The body this body collided with.
+	 */
+	onCollision(other) {
+	}
+
 	/**
 	 * Marks this body to be removed at the end of the update loop
 	 */
 	remove() {
-		queued_entities_for_removal.push(this.id);
+		world.entities.remove(this);
+	}
+
+	/**
+	 * @returns {Object} The state of this body for a world snapshot, every field of the body and the
+	 * name of its class. Subclasses replace the fields that can not be stored as they are.
+	 */
+	toSnapshot() {
+		return Object.assign({ type: this.constructor.name }, this);
+	}
+
+	/**
+	 * Points the fields that refer to other bodies at the restored bodies, once every body of a
+	 * snapshot was restored. Does nothing by default.
+	 * 
+	 * @param {EntityManager} entities The restored bodies.
+	 */
+	link(entities) {
+	}
+
+	/**
+	 * Makes a body of this class from the state stored by toSnapshot. The constructor and spawn
+	 * are skipped, the stored fields already hold everything they would set.
+	 * 
+	 * @param {Object} data The stored state.
+	 * @returns {Body} The restored body, not yet added to any world.
+	 */
+	static fromSnapshot(data) {
+		const body = Object.assign(Object.create(this.prototype), data);
+		delete body.type;
+		return body;
 	}
 }
 
+/** @type {Array<String>} The color of every player, in the order they join */
+const player_colors = ['#90EE90', '#87CEFA'];
+
 /**
- * Represents an player body. Extends a Body by handling input binding and controller management.
+ * Represents an player body. Extends a Body by handling controller management. In a co-op run a
+ * dead player stays on the board as a wreck, which the other player revives by staying close to it.
  * 
  * @typedef Player
  */
 class Player extends Body {
-	// this controller object is updated by the bound input_handler
+	// this controller object is updated by the input handler, or directly when running headless
 	controller = {
 		move_x: 0,
 		move_y: 0,
-		action_1: false
+		action_1: false,
+		bomb: false
 	};
-	raw_input = {};
-	speed = 2;
-	input_handler = null;
+	// the fastest the player moves in pixels per second, and how quickly it gets there
+	max_speed = 120;
+	acceleration = 1200;
+	// the fraction of the velocity lost per second, stops the player once the controls are let go
+	drag = 8;
+	team = 'player';
+	max_health = 100;
+	// how much faster the player moves with the speed power up
+	speed_boost = 1.6;
+	// bombs left this run and the damage each one deals to every enemy
+	bombs = 2;
+	bomb_damage = 5;
+	// seconds the other player has to stay within revive_radius pixels of a wreck to revive it, the
+	// revived player comes back with revive_health of its max health and a shield for a moment
+	revive_time = 3;
+	revive_radius = 40;
+	revive_health = 0.5;
+	revive_shield = 2;
 
 	/**
 	 * Creates a new player with the default attributes.
+	 * 
+	 * @param {Number} index The number of the player, counting from zero.
 	 */
-	constructor() {
+	constructor(index = 0) {
 		super();
-		//Used as a counter to spawn enemies at consistent times
-		this.enemyTimer = 0
-		//Used to determine if the player is able to file a projectile
-		this.projectileReady = false
-
-		// bind the input handler to this object
-		this.input_handler = new InputHandler(this);
+		this.index = index;
+		/** @type {Weapon} The weapon fired with action_1 */
+		this.weapon = new Weapon()
+		/** @type {Object<String, Number>} Active power up effects mapped to their remaining seconds */
+		this.effects = {}
 
-		// we always want our new players to be at this location
+		// we always want our new players to be at this location, side by side in co-op
 		this.position = {
-			x: config.canvas_size.width / 2,
-			y: config.canvas_size.height - 100
+			x: world.config.canvas_size.width * (index + 1) / (world.player_count + 1),
+			y: world.config.canvas_size.height - 100
 		};
 
-		this.color = '#90EE90'
+		this.base_color = player_colors[index % player_colors.length]
+		this.color = this.base_color
 		this.hit = 0
-		
-		//Gives an array of all enemies and projectiles that are currently
-		//on the board
-		this.enemies = []
-		this.projectiles = []
+		this.bomb_held = false
+		// the points of the kills and streak bonuses of this player
+		this.points = 0
+		// seconds the other player has spent reviving this one
+		this.revive_progress = 0
+	}
+
+	/**
+	 * Restores a player, giving it back a weapon of the class it held.
+	 * 
+	 * @param {Object} data The stored state.
+	 * @returns {Player} The restored player.
+	 */
+	static fromSnapshot(data) {
+		const player = super.fromSnapshot(data);
+		player.weapon = Object.assign(new weapon_types[data.weapon.name](), data.weapon);
+		return player;
 	}
 
 
 	/**
-	 * Draws the player as a triangle centered on the player's location.
+	 * Draws the player sprite, or a triangle centered on the player's location if the sprite is not
+	 * loaded.
 	 * 
 	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
 	 */
 	draw(graphics) {
-		graphics.strokeStyle = this.color;
-		graphics.beginPath();
-		graphics.moveTo(
-			this.position.x,
-			this.position.y - this.half_size.height
-		);
-		graphics.lineTo(
-			this.position.x + this.half_size.width,
-			this.position.y + this.half_size.height
-		);
-		graphics.lineTo(
-			this.position.x - this.half_size.width,
-			this.position.y + this.half_size.height
-		);
-		graphics.lineTo(
-			this.position.x,
-			this.position.y - this.half_size.height
-		);
-		graphics.stroke();
+		// a wreck is drawn faded with a ring that fills up while it is being revived
+		if (this.isDead()) {
+			graphics.globalAlpha = 0.35;
+		}
+
+		const sprite = this.color == '#FF0000' ? 'player_hit' : 'player';
+		if (!drawSprite(graphics, sprite, this)) {
+			graphics.strokeStyle = this.color;
+			graphics.beginPath();
+			graphics.moveTo(
+				this.position.x,
+				this.position.y - this.half_size.height
+			);
+			graphics.lineTo(
+				this.position.x + this.half_size.width,
+				this.position.y + this.half_size.height
+			);
+			graphics.lineTo(
+				this.position.x - this.half_size.width,
+				this.position.y + this.half_size.height
+			);
+			graphics.lineTo(
+				this.position.x,
+				this.position.y - this.half_size.height
+			);
+			graphics.stroke();
+		}
+
+		// draw the shield
+		if (this.effects.shield != null) {
+			graphics.strokeStyle = power_ups.shield.color;
+			graphics.beginPath();
+			graphics.arc(this.position.x, this.position.y, this.size.width, 0, 2 * Math.PI);
+			graphics.stroke();
+		}
+		graphics.globalAlpha = 1;
+
+		if (world.players.length < 2) {
+			return;
+		}
+
+		graphics.font = "10px Arial";
+		graphics.textAlign = "center";
+		graphics.fillStyle = this.base_color;
+		graphics.fillText(`P${this.index + 1}`, this.position.x, this.position.y - this.size.height);
+		graphics.textAlign = "left";
+
+		if (this.isDead() && this.revive_progress > 0) {
+			graphics.strokeStyle = this.base_color;
+			graphics.beginPath();
+			graphics.arc(this.position.x, this.position.y, this.revive_radius / 2, -Math.PI / 2, -Math.PI / 2 + 2 * Math.PI * this.revive_progress / this.revive_time);
+			graphics.stroke();
+		}
+	}
+
+
+	/**
+	 * Decreases the health of the player and starts the red hit flash. Does nothing while the
+	 * player is shielded or already dead. A player that dies leaves its team, so nothing hits the
+	 * wreck.
+	 * 
+	 * @param {Number} amount The health to remove, before it is scaled by the enemy damage setting.
+	 * @param {Body} source The body the damage came from, if any.
+	 */
+	takeDamage(amount, source = null) {
+		if (this.effects.shield != null || this.isDead()) {
+			return;
+		}
+
+		const health = this.health
+		super.takeDamage(Math.round(amount * world.config.settings.enemy_damage), source);
+		this.hit = 100
+		playSound('player_hit')
+		world.score_keeper.playerHit(this)
+
+		if (this.isDead()) {
+			this.team = null;
+			this.revive_progress = 0;
+			world.particles.explosion(this.position, this.base_color, 2);
+		}
+		game_events.emit('playerHit', { player: this, source: source, damage: health - this.health })
+	}
+
+	/**
+	 * Fills the revive progress of a wreck while another living player is close enough and brings
+	 * it back once it is full. The progress is lost as soon as the other player moves away.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	updateRevive(delta_time) {
+		const rescuer = world.players.find(player => {
+			return player != this && !player.isDead() &&
+				Math.hypot(player.position.x - this.position.x, player.position.y - this.position.y) <= this.revive_radius;
+		});
+
+		this.revive_progress = rescuer != null ? this.revive_progress + delta_time : 0;
+		if (this.revive_progress < this.revive_time) {
+			return;
+		}
+
+		this.revive_progress = 0;
+		this.health = Math.round(this.max_health * this.revive_health);
+		this.team = 'player';
+		this.effects.shield = this.revive_shield;
+		this.hit = 0;
+	}
+
+	/**
+	 * Applies a power up to the player. Picking up a weapon replaces the current weapon and its
+	 * remaining time, picking up an effect that is already active restarts its time.
+	 * 
+	 * @param {String} kind A key of power_ups.
+	 */
+	applyPowerUp(kind) {
+		const power_up = power_ups[kind];
+
+		if (kind == 'health') {
+			this.health = Math.min(this.max_health, this.health + power_up.amount);
+			return;
+		}
+
+		if (weapon_types[kind] != null) {
+			Object.keys(weapon_types).forEach(name => delete this.effects[name]);
+			this.weapon = new weapon_types[kind]();
+		}
+
+		this.effects[kind] = power_up.duration;
+	}
+
+	/**
+	 * Counts down the active effects and removes the ones that ran out. The default weapon comes
+	 * back when a weapon runs out.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	updateEffects(delta_time) {
+		for (let kind of Object.keys(this.effects)) {
+			this.effects[kind] -= delta_time;
 
-		// draw velocity lines
-		super.draw(graphics);
+			if (this.effects[kind] <= 0) {
+				delete this.effects[kind];
+
+				if (weapon_types[kind] != null) {
+					this.weapon = new Weapon();
+				}
+			}
+		}
 	}
 
+	/**
+	 * Clears every enemy projectile and damages every enemy, if the player has a bomb left.
+	 */
+	detonateBomb() {
+		if (this.bombs <= 0) {
+			return;
+		}
+		this.bombs -= 1;
+		playSound('bomb');
+
+		for (let entity of world.entities.all()) {
+			if (entity.removed) {
+				continue;
+			}
+
+			if (entity instanceof Projectile && entity.team == 'enemy') {
+				entity.remove();
+			} else if (entity instanceof Enemy) {
+				entity.takeDamage(this.bomb_damage, this);
+			}
+		}
+	}
 
 	/**
 	 * Updates the player given the state of the player's controller.
@@ -241,25 +1018,22 @@ class Player extends Body {
 	 * @param {Number} delta_time Time in seconds since last update call.
 	 */
 	update(delta_time) {
-		//Spawns an enemy 
-		this.enemyTimer += 1
-		if (this.enemyTimer % 20 == 0) {
-			enemyCount += 1
-			new Enemy()
+		this.updateEffects(delta_time)
+		if (this.isDead()) {
+			this.updateRevive(delta_time)
 		}
 
-		//Allows a projectile to fire using the same timer as enemy spawner
-		if (this.enemyTimer % 40 == 0 && !this.projectileReady) {
-			this.projectileReady = true
+		//Fires the weapon, it decides how often it can fire
+		this.weapon.update(delta_time)
+		if (this.controller.action_1 && !this.isDead()) {
+			this.weapon.tryFire(this)
 		}
-		//Fires a projectile
-		if (this.controller.action_1 && this.projectileReady) {
-			if (masterTime > projShotTime + 0.5) {
-				projShotTime = masterTime
-				new Projectile()
-				this.projectileReady = false	
-			}
+
+		//A bomb goes off once per press, holding the button does nothing more
+		if (this.controller.bomb && !this.bomb_held && !this.isDead()) {
+			this.detonateBomb()
 		}
+		this.bomb_held = this.controller.bomb
 
 		//Shows user when player has been hit by flashing red
 		if (this.hit != 0 && this.health > 0) {
@@ -267,46 +1041,59 @@ class Player extends Body {
 			if ((this.hit > 80) || (this.hit > 40 && this.hit < 60) || (this.hit < 20 && this.hit > 2)) {
 				this.color = '#FF0000'
 			} else {
-				this.color = '#90EE90'
+				this.color = this.base_color
 			}
 		} else {
-			this.color = '#90EE90'
-		}
-
-		//Determines which way to move the player depending on the
-		//input from the user, uses pythagorean theorem to determine
-		//the speed for moving diagonal so that it remains consistent
-		//with vertical and horizontal speeds
-		let diagonalSpeed = Math.sqrt((this.speed * this.speed) / 2)
-		if (this.controller.move_x == 1 && this.controller.move_y == -1) {
-			this.position.x = this.position.x + diagonalSpeed
-			this.position.y = this.position.y - diagonalSpeed
-		} else if (this.controller.move_x == -1 && this.controller.move_y == -1) {
-			this.position.x = this.position.x - diagonalSpeed
-			this.position.y = this.position.y - diagonalSpeed
-		} else if (this.controller.move_x == -1 && this.controller.move_y == 1) {
-			this.position.x = this.position.x - diagonalSpeed
-			this.position.y = this.position.y + diagonalSpeed
-		} else if (this.controller.move_x == 1 && this.controller.move_y == 1) {
-			this.position.x = this.position.x + diagonalSpeed
-			this.position.y = this.position.y + diagonalSpeed
-		} else if (this.controller.move_x == -1) {
-			this.position.x = this.position.x - this.speed
-		} else if (this.controller.move_x == 1) {
-			this.position.x = this.position.x + this.speed
-		} else if (this.controller.move_y == -1) {
-			this.position.y = this.position.y - this.speed
-		} else if (this.controller.move_y == 1) {
-			this.position.y = this.position.y + this.speed
+			this.color = this.base_color
+		}
+
+		//Accelerates the player in the direction of the input from the
+		//user, the axis can be anywhere between -1 and 1 with a gamepad
+		//so a half pushed stick gives a slower top speed. Uses pythagorean
+		//theorem so moving diagonal is not faster than vertical and horizontal
+		let boost = this.effects.speed != null ? this.speed_boost : 1
+		let move_x = !this.isDead() ? this.controller.move_x : 0
+		let move_y = !this.isDead() ? this.controller.move_y : 0
+		let length = Math.sqrt(move_x * move_x + move_y * move_y)
+		if (length > 1) {
+			move_x = move_x / length
+			move_y = move_y / length
+		}
+		this.velocity.x += move_x * this.acceleration * boost * delta_time
+		this.velocity.y += move_y * this.acceleration * boost * delta_time
+
+		// slow down, never past a standstill
+		const friction = Math.max(0, 1 - this.drag * delta_time)
+		this.velocity.x *= friction
+		this.velocity.y *= friction
+
+		// cap the speed
+		const max_speed = this.max_speed * boost
+		const speed = Math.sqrt(this.velocity.x * this.velocity.x + this.velocity.y * this.velocity.y)
+		if (speed > max_speed) {
+			this.velocity.x *= max_speed / speed
+			this.velocity.y *= max_speed / speed
 		}
 
 		// update position
 		super.update(delta_time);
 
+		if (!this.isDead()) {
+			world.particles.trail({ x: this.position.x, y: this.position.y + this.half_size.height });
+		}
+
 
-		// clip to screen
-		this.position.x = Math.min(Math.max(0, this.position.x), config.canvas_size.width);
-		this.position.y = Math.min(Math.max(0, this.position.y), config.canvas_size.height);
+		// clip to screen, running into an edge stops the player
+		const width = world.config.canvas_size.width;
+		const height = world.config.canvas_size.height;
+		if (this.position.x < 0 || this.position.x > width) {
+			this.position.x = Math.min(Math.max(0, this.position.x), width);
+			this.velocity.x = 0;
+		}
+		if (this.position.y < 0 || this.position.y > height) {
+			this.position.y = Math.min(Math.max(0, this.position.y), height);
+			this.velocity.y = 0;
+		}
 
 
 	}
@@ -318,89 +1105,392 @@ class Player extends Body {
 ------------------------------
 */
 /**
- * Represents a Projectile. Extends a Body with positioning.
+ * Represents a Projectile. Extends a Body with an owner, a damage value and a lifetime. The
+ * projectile flies in a straight line along its velocity and damages the first body of another
+ * team it runs into, so bodies can never shoot their own team.
  * 
  * @typedef Projectile
  */
 class Projectile extends Body {
-	speed = 5
-	constructor() {
-		super();
+	// projectiles are reused by the entity manager
+	static pooled = true;
+	size = { width: 6, height: 10 };
+
+	/**
+	 * Sets up a new or reused projectile, made with world.entities.create(Projectile, ...).
+	 * 
+	 * @param {Body} owner The body that fired this projectile, the projectile takes its team.
+	 * @param {Object} origin The point the projectile is fired from.
+	 * @param {Object} velocity The velocity of the projectile in pixels per second.
+	 * @param {Number} damage The health removed from the body this projectile hits.
+	 * @param {Number} lifetime Seconds until the projectile is removed if it does not hit anything.
+	 * @param {Number} pierce The number of extra bodies the projectile passes through.
+	 */
+	spawn(owner, origin, velocity, damage = 1, lifetime = 2, pierce = 0) {
+		this.owner = owner;
+		this.team = owner.team;
+		this.damage = damage;
+		this.lifetime = lifetime;
+		this.pierce = pierce;
+		// ids of the bodies a piercing projectile already went through
+		this.hit_ids = new Set();
 
-		this.projectile = {
-			x: player.position.x,
-			y: player.position.y
+		this.position = {
+			x: origin.x,
+			y: origin.y
 		};
+		this.velocity = {
+			x: velocity.x,
+			y: velocity.y
+		};
+
+		this.color = this.team == 'player' ? '#19DC4D' : '#FF8C00';
+	}
+
+	/**
+	 * @returns {Object} The state of this projectile, the owner is stored by id.
+	 */
+	toSnapshot() {
+		return Object.assign(super.toSnapshot(), {
+			// a restored projectile whose owner was gone has none
+			owner: this.owner != null ? this.owner.id : null,
+			hit_ids: [...this.hit_ids]
+		});
+	}
+
+	/**
+	 * Finds the owner again. An owner that is gone by now stays null, it only matters for players,
+	 * which are never removed.
+	 * 
+	 * @param {EntityManager} entities The restored bodies.
+	 */
+	link(entities) {
+		this.owner = entities.get(this.owner) || null;
+	}
 
+	/**
+	 * @param {Object} data The stored state.
+	 * @returns {Projectile} The restored projectile.
+	 */
+	static fromSnapshot(data) {
+		const projectile = super.fromSnapshot(data);
+		projectile.hit_ids = new Set(data.hit_ids);
+		return projectile;
 	}
 
 	/**
-	 * Draws the player as a triangle centered on the player's location.
+	 * Draws the projectile sprite turned along its velocity, or a short line pointing along its
+	 * velocity if the sprite is not loaded.
 	 * 
 	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
 	 */
 	draw(graphics) {
-		graphics.strokeStyle = '#19dk4d';
+		// the sprites point up, which is a quarter turn from an angle of zero
+		const angle = Math.atan2(this.velocity.y, this.velocity.x) + Math.PI / 2;
+		if (drawSprite(graphics, `${this.team}_projectile`, this, angle)) {
+			return;
+		}
+
+		const speed = Math.sqrt(this.velocity.x * this.velocity.x + this.velocity.y * this.velocity.y) || 1;
+		const dx = this.velocity.x / speed * this.half_size.height;
+		const dy = this.velocity.y / speed * this.half_size.height;
+
+		graphics.strokeStyle = this.color;
 		graphics.beginPath();
 		graphics.moveTo(
-			this.projectile.x,
-			this.projectile.y
+			this.position.x - dx,
+			this.position.y - dy
 		);
 		graphics.lineTo(
-			this.projectile.x,
-			this.projectile.y - 10
+			this.position.x + dx,
+			this.position.y + dy
 		);
 
 		graphics.stroke();
-
-		// draw velocity lines
-		super.draw(graphics);
 	}
 
 	/**
-	 * Updates the player given the state of the player's controller.
+	 * Moves the projectile along its velocity and removes it once it runs out of lifetime or leaves
+	 * the board.
 	 * 
 	 * @param {Number} delta_time Time in seconds since last update call.
 	 */
 	update(delta_time) {
-		//Removes all projectiles from board when player dies
-		if (player.health == 0) {
+		//Removes all projectiles from board when every player is dead
+		if (world.isOver()) {
 			this.remove()
 		}
 
-		//Adds projectile to player array
-		let x = this.projectile.x
-		let y = this.projectile.y
-		player.projectiles[this.id] = { x, y }
+		this.lifetime -= delta_time;
+		if (this.lifetime <= 0) {
+			this.remove()
+		}
 
-		//Moves projectile up the board once fired
-		this.projectile.y -= this.speed
+		// update position
+		super.update(delta_time);
 
 		//If projectile has left field of view, remove it
-		if (this.projectile.y < 0) {
+		const canvas_size = world.config.canvas_size;
+		if (this.position.x < 0 || this.position.x > canvas_size.width || this.position.y < 0 || this.position.y > canvas_size.height) {
 			this.remove()
 		}
+	}
 
-		//Determines if projectile has hit an enemy
-		player.enemies.map((enemy) => {
-			if ((this.projectile.x + 8 >= enemy.x && this.projectile.x - 8 <= enemy.x) && (this.projectile.y + 8 >= enemy.y && this.projectile.y - 8 <= enemy.y)) {
-				enemiesHit += 1
-				this.remove()
-			}
-		})
+	/**
+	 * Damages the body this projectile runs into and removes the projectile, unless it can still
+	 * pierce. Bodies without a team, bodies of the same team and other projectiles are ignored.
+	 * 
+	 * @param {Body} other The body this projectile collided with.
+	 */
+	onCollision(other) {
+		if (other instanceof Projectile || other.team == null || other.team == this.team || this.hit_ids.has(other.id)) {
+			return;
+		}
 
-		// update position
-		super.update(delta_time);
+		other.takeDamage(this.damage, this.owner)
+		world.particles.sparks(this.position, this.color)
+
+		// count every player projectile that hits something once, for the accuracy stat
+		if (this.team == 'player' && this.hit_ids.size == 0) {
+			world.shots_hit += 1
+		}
+
+		if (this.pierce > 0) {
+			this.pierce -= 1
+			this.hit_ids.add(other.id)
+		} else {
+			this.remove()
+		}
+	}
+}
+
+
+
+/*
+------------------------------
+------- WEAPON SECTION ------- 
+------------------------------
+*/
+/**
+ * Represents the gun of a player. A weapon has a fire rate and a damage value and decides the
+ * pattern of projectiles every shot makes. This is the default weapon, it fires a single
+ * projectile straight up.
+ * 
+ * @typedef Weapon
+ */
+class Weapon {
+	// the name shown in the HUD, matches the key in weapon_types
+	name = 'single';
+	// seconds between shots
+	fire_interval = 0.6;
+	damage = 1;
+	// the speed of the projectiles in pixels per second
+	projectile_speed = 300;
+	// the number of extra enemies each projectile can pass through
+	pierce = 0;
 
+	constructor() {
+		// seconds until the weapon can fire again
+		this.cooldown = 0;
+	}
+
+	/**
+	 * Counts down the cooldown of the weapon.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		this.cooldown = Math.max(0, this.cooldown - delta_time);
+	}
+
+	/**
+	 * Fires the weapon if it is not cooling down.
+	 * 
+	 * @param {Body} owner The body holding the weapon.
+	 * @returns {Boolean} true if the weapon fired, false otherwise.
+	 */
+	tryFire(owner) {
+		if (this.cooldown > 0) {
+			return false;
+		}
+
+		this.cooldown = this.fire_interval * world.config.settings.fire_cooldown;
+		this.fire(owner);
+		playSound('fire');
+		return true;
+	}
 
-		// clip to screen
-		this.projectile.x = Math.min(Math.max(0, this.projectile.x), config.canvas_size.width);
-		this.projectile.y = Math.min(Math.max(0, this.projectile.y), config.canvas_size.height);
+	/**
+	 * Makes the projectiles of a single shot, subclasses override this for other patterns.
+	 * 
+	 * @param {Body} owner The body holding the weapon.
+	 */
+	fire(owner) {
+		this.shoot(owner, 0);
+	}
+
+	/**
+	 * Fires a single projectile from the owner.
+	 * 
+	 * @param {Body} owner The body holding the weapon.
+	 * @param {Number} angle The angle from straight up in radians, positive angles turn right.
+	 * @param {Object} origin The point the projectile is fired from, the owner by default.
+	 */
+	shoot(owner, angle, origin = owner.position) {
+		const velocity = {
+			x: Math.sin(angle) * this.projectile_speed,
+			y: -Math.cos(angle) * this.projectile_speed
+		};
+		const projectile = world.entities.create(Projectile, owner, origin, velocity, this.damage, 2, this.pierce);
+		world.shots_fired += 1;
+		game_events.emit('shotFired', { owner: owner, projectile: projectile });
+	}
+}
 
+/**
+ * A weapon that fires a fan of three projectiles.
+ * 
+ * @typedef SpreadWeapon
+ */
+class SpreadWeapon extends Weapon {
+	name = 'spread';
+	fire_interval = 0.7;
 
+	fire(owner) {
+		[-0.25, 0, 0.25].forEach(angle => this.shoot(owner, angle));
 	}
 }
 
+/**
+ * A weapon that fires single, fast projectiles at a high rate.
+ * 
+ * @typedef RapidWeapon
+ */
+class RapidWeapon extends Weapon {
+	name = 'rapid';
+	fire_interval = 0.15;
+	projectile_speed = 420;
+}
+
+/**
+ * A weapon that fires slow, strong projectiles that pass through several enemies.
+ * 
+ * @typedef PiercingWeapon
+ */
+class PiercingWeapon extends Weapon {
+	name = 'piercing';
+	fire_interval = 0.8;
+	damage = 2;
+	pierce = 3;
+}
+
+/**
+ * Maps weapon names to the weapon classes, used by power ups to hand out weapons.
+ * 
+ * @type {Object<String, typeof Weapon>}
+ */
+const weapon_types = {
+	single: Weapon,
+	spread: SpreadWeapon,
+	rapid: RapidWeapon,
+	piercing: PiercingWeapon
+};
+
+/*
+------------------------------
+------ POWER UP SECTION ------ 
+------------------------------
+*/
+/**
+ * Describes every kind of power up. The weapon kinds hand out the weapon of the same name, the
+ * other kinds are effects on the player. Durations are in seconds, a duration of zero means the
+ * power up takes effect once and does not show in the HUD.
+ * 
+ * @type {Object<String, Object>}
+ */
+const power_ups = {
+	spread: { label: 'S', color: '#1E90FF', duration: 12 },
+	rapid: { label: 'R', color: '#FF8C00', duration: 10 },
+	piercing: { label: 'P', color: '#8A2BE2', duration: 10 },
+	shield: { label: 'O', color: '#00CED1', duration: 8 },
+	speed: { label: '>', color: '#FFD700', duration: 6 },
+	health: { label: '+', color: '#32CD32', duration: 0, amount: 25 }
+};
+
+/**
+ * Represents a collectible power up. It slowly falls down the board and is applied to the player
+ * when they run into it.
+ * 
+ * @typedef PowerUp
+ */
+class PowerUp extends Body {
+	size = { width: 12, height: 12 };
+	velocity = { x: 0, y: 60 };
+
+	/**
+	 * Creates a new power up.
+	 * 
+	 * @param {Object} origin The point the power up drops from.
+	 * @param {String} kind A key of power_ups.
+	 */
+	constructor(origin, kind) {
+		super();
+
+		this.kind = kind;
+		this.position = {
+			x: origin.x,
+			y: origin.y
+		};
+	}
+
+	/**
+	 * Draws the power up as a circle with its label inside.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+		const power_up = power_ups[this.kind];
+
+		graphics.strokeStyle = power_up.color;
+		graphics.beginPath();
+		graphics.arc(this.position.x, this.position.y, this.half_size.width, 0, 2 * Math.PI);
+		graphics.stroke();
+
+		graphics.fillStyle = power_up.color;
+		graphics.font = "10px Arial";
+		graphics.textAlign = "center";
+		graphics.fillText(power_up.label, this.position.x, this.position.y + 3);
+	}
+
+	/**
+	 * Falls down the board and is removed once it leaves it.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		if (world.isOver()) {
+			this.remove()
+		}
+
+		super.update(delta_time);
+
+		if (this.position.y > world.config.canvas_size.height) {
+			this.remove()
+		}
+	}
+
+	/**
+	 * Applies the power up to the player that collects it.
+	 * 
+	 * @param {Body} other The body this power up collided with.
+	 */
+	onCollision(other) {
+		if (other instanceof Player && !other.isDead()) {
+			other.applyPowerUp(this.kind)
+			this.remove()
+		}
+	}
+}
 
 
 /*
@@ -409,33 +1499,70 @@ class Projectile extends Body {
 ------------------------------
 */
 /**
- * Represents an enemy body. 
+ * Represents an enemy body. This is the basic enemy, it falls down the board and lurches towards
+ * the player once it gets close. Other enemy types extend it and override move, attack and draw.
  * 
  * @typedef Enemy
  */
 class Enemy extends Body {
-	speed = 3;
+	// enemies are reused by the entity manager
+	static pooled = true;
+	// pixels per second
+	speed = 180;
+	max_health = 1;
+	team = 'enemy';
+	color = '#D3D3D3';
+	// points added to the score when this enemy is destroyed
+	score_value = 30;
+	// health the player loses when running into this enemy
+	contact_damage = 25;
+	// chance of dropping a power up when destroyed
+	drop_chance = 0.08;
+	// once close to the player the basic enemy only lurches towards it for lurch_time seconds out
+	// of every lurch_interval, about one frame in four
+	lurch_interval = 4 / 60;
+	lurch_time = 1 / 60;
 
-	constructor() {
-		super();
-
-		//Gives enemy a random starting point on the board not 
-		//near the edges
+	/**
+	 * Sets up a new or reused enemy just above the top of the board, made with
+	 * world.entities.create. Subclasses set up the rest of their state here too, not in the
+	 * constructor.
+	 * 
+	 * @param {Number} x The horizontal starting point, defaults to a random point not near the edges.
+	 */
+	spawn(x = Math.floor(world.rng.range(0.08, 0.8) * world.config.canvas_size.width)) {
 		this.position = {
-			x: Math.floor(Math.random() * 260) + 30,
+			x: x,
 			y: -50
 		};
+		this.velocity = { x: 0, y: 0 };
+		this.health = this.max_health;
+
+		// seconds since this enemy was spawned
+		this.age = 0;
+		// the number of the wave this enemy was spawned in, set by the spawner
+		this.wave = null;
+	}
 
+	/**
+	 * @type {String} The key of this enemy's class in enemy_types.
+	 */
+	get type_name() {
+		return Object.keys(enemy_types).find(name => enemy_types[name] == this.constructor);
 	}
 
 
 	/**
-	 * Draws the enemy as a triangle
+	 * Draws the enemy sprite, or a triangle if the sprite is not loaded.
 	 * 
 	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
 	 */
 	draw(graphics) {
-		graphics.strokeStyle = '#000000';
+		if (drawSprite(graphics, 'enemy', this)) {
+			return;
+		}
+
+		graphics.strokeStyle = this.color;
 		graphics.beginPath();
 		graphics.moveTo(
 			this.position.x,
@@ -454,249 +1581,4820 @@ class Enemy extends Body {
 			this.position.y - this.half_size.height
 		);
 		graphics.stroke();
-
-		// draw velocity lines
-		super.draw(graphics);
 	}
 
 
 	/**
-	 * Updates the player given the state of the player's controller.
+	 * Moves and attacks using the behavior of this enemy type and removes the enemy once it leaves
+	 * the board.
 	 * 
 	 * @param {Number} delta_time Time in seconds since last update call.
 	 */
-
-
 	update(delta_time) {
-		//removes enemy if player dies
-		if (player.health == 0) {
+		//removes enemy once every player is dead
+		if (world.isOver()) {
 			this.remove()
 		}
 
-		//adds enemy to player array
-		let y = this.position.y
-		let x = this.position.x
-		player.enemies[this.id] = { x, y }
+		this.age += delta_time;
+		this.move(delta_time);
+		this.attack(delta_time);
 
-		//bug fix
-		if (this.id == 1) {
+		//Removes enemy once it exits view
+		if (this.position.y > world.config.canvas_size.height + world.config.settings.despawn_margin) {
 			this.remove()
 		}
 
+		// update position, the enemy speed setting scales the distance moved but not the timers
+		super.update(delta_time * world.config.settings.enemy_speed);
+
+
+		// clip to screen, below the bottom only past the despawn margin so the enemy can still leave
+		this.position.x = Math.min(Math.max(0, this.position.x), world.config.canvas_size.width + 50);
+		this.position.y = Math.min(Math.max(0, this.position.y), world.config.canvas_size.height + world.config.settings.despawn_margin + this.half_size.height);
+
+
+	}
+
+	/**
+	 * Sets the velocity of the enemy. The basic enemy moves down the screen and once close enough,
+	 * lurches towards the player now and then.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	move(delta_time) {
+		const player = world.nearestPlayer(this.position);
 		let diagonalSpeed = Math.sqrt((this.speed * this.speed) / 2) * 2
-		//Moves enemy down the screen and once close enough, towards player
-		if (player.position.y - this.position.y < 150 && player.position.y - this.position.y > 0 && Math.round(this.position.y) % 4 == 0) {
+		if (player.position.y - this.position.y < 150 && player.position.y - this.position.y > 0 && this.age % this.lurch_interval < this.lurch_time) {
 			if (player.position.x > this.position.x) {
-				this.position.x = this.position.x + diagonalSpeed / 1.5
-				this.position.y = this.position.y + diagonalSpeed / 1.5
+				this.velocity = { x: diagonalSpeed / 1.5, y: diagonalSpeed / 1.5 }
 			} else {
-				this.position.x = this.position.x - diagonalSpeed / 1.5
-				this.position.y = this.position.y + diagonalSpeed / 1.5
+				this.velocity = { x: -diagonalSpeed / 1.5, y: diagonalSpeed / 1.5 }
 			}
 		}
 		else {
-			this.position.y = this.position.y + this.speed
+			this.velocity = { x: 0, y: this.speed }
 		}
+	}
+
+	/**
+	 * Attacks the player. The basic enemy only attacks by running into the player.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	attack(delta_time) {
+	}
+
+	/**
+	 * Fires a fan of projectiles from this enemy. A single projectile is a plain aimed shot.
+	 * 
+	 * @param {Number} angle The direction of the middle projectile in radians, 0 points right.
+	 * @param {Number} count The number of projectiles.
+	 * @param {Number} spread The angle between the outermost projectiles in radians.
+	 * @param {Number} speed The speed of the projectiles in pixels per second.
+	 * @param {Number} damage The damage of each projectile.
+	 */
+	fireSpread(angle, count = 1, spread = 0, speed = 180, damage = 10) {
+		for (let i = 0; i < count; i++) {
+			const offset = count > 1 ? spread * (i / (count - 1) - 0.5) : 0;
+			const velocity = {
+				x: Math.cos(angle + offset) * speed,
+				y: Math.sin(angle + offset) * speed
+			};
+			world.entities.create(Projectile, this, this.position, velocity, damage, 4);
+		}
+	}
+
+	/**
+	 * Fires a fan of projectiles centered on the player.
+	 * 
+	 * @param {Number} count The number of projectiles.
+	 * @param {Number} spread The angle between the outermost projectiles in radians.
+	 */
+	fireAtPlayer(count = 1, spread = 0) {
+		const player = world.nearestPlayer(this.position);
+		const angle = Math.atan2(player.position.y - this.position.y, player.position.x - this.position.x);
+		this.fireSpread(angle, count, spread);
+	}
+
+	/**
+	 * Decreases the health of this enemy and destroys it once the health runs out.
+	 * 
+	 * @param {Number} amount The health to remove.
+	 * @param {Body} source The body the damage came from, if any.
+	 */
+	takeDamage(amount, source = null) {
+		super.takeDamage(amount, source);
+
+		if (this.isDead() && !this.removed) {
+			this.die(source);
+		}
+	}
+
+	/**
+	 * Counts the kill, adds this enemy's score value, sometimes drops a power up and removes it.
+	 * 
+	 * @param {Body} killer The body that dealt the last hit, a player gets the points of the kill.
+	 */
+	die(killer = null) {
+		const event = {
+			enemy: this,
+			type: this.type_name,
+			position: { x: this.position.x, y: this.position.y },
+			points: this.score_value,
+			wave: this.wave,
+			player: killer instanceof Player ? killer : null
+		}
+		world.enemies_hit += 1
+		world.score_keeper.kill(event)
+		game_events.emit('enemyKilled', event)
+		world.particles.explosion(this.position, this.color, this.size.width / 10)
+		playSound('enemy_death')
+
+		if (world.rng.next() < this.drop_chance) {
+			const kinds = Object.keys(power_ups);
+			new PowerUp(this.position, kinds[Math.floor(world.rng.range(0, kinds.length))]);
+		}
+
+		this.remove()
+	}
+
+	/**
+	 * If the enemy runs into a living player it decreases their health and removes itself.
+	 * Projectiles handle their own hits.
+	 * 
+	 * @param {Body} other The body this enemy collided with.
+	 */
+	onCollision(other) {
+		if (other instanceof Player && !other.isDead()) {
+			other.takeDamage(this.contact_damage)
+			this.remove()
+		}
+	}
+}
+
+/**
+ * An enemy that falls slowly while drifting from side to side along a sine wave.
+ * 
+ * @typedef DrifterEnemy
+ */
+class DrifterEnemy extends Enemy {
+	speed = 90;
+	score_value = 40;
+	color = '#1E90FF';
+	// how far the drifter swings to either side, in pixels
+	amplitude = 40;
+	// how fast the drifter swings, in radians per second
+	frequency = 3;
+
+	spawn(x) {
+		super.spawn(x);
+
+		this.origin_x = this.position.x;
+		// start every drifter at a different point of the wave
+		this.phase = world.rng.range(0, 2 * Math.PI);
+	}
+
+	/**
+	 * Draws the drifter sprite, or a diamond if the sprite is not loaded.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+		if (drawSprite(graphics, 'drifter', this)) {
+			return;
+		}
+
+		graphics.strokeStyle = this.color;
+		graphics.beginPath();
+		graphics.moveTo(this.position.x, this.position.y - this.half_size.height);
+		graphics.lineTo(this.position.x + this.half_size.width, this.position.y);
+		graphics.lineTo(this.position.x, this.position.y + this.half_size.height);
+		graphics.lineTo(this.position.x - this.half_size.width, this.position.y);
+		graphics.closePath();
+		graphics.stroke();
+	}
+
+	/**
+	 * Falls at a steady speed and sways around the spawn point.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	move(delta_time) {
+		// the rate of change of origin_x + amplitude * sin(phase + age * frequency)
+		this.velocity = {
+			x: this.amplitude * this.frequency * Math.cos(this.phase + this.age * this.frequency),
+			y: this.speed
+		};
+	}
+}
+
+/**
+ * An enemy that creeps down the board until the player is in range and then dives straight at the
+ * point where the player was.
+ * 
+ * @typedef KamikazeEnemy
+ */
+class KamikazeEnemy extends Enemy {
+	speed = 60;
+	score_value = 50;
+	contact_damage = 35;
+	color = '#DC143C';
+	// vertical distance to the player at which the dive starts
+	dive_range = 220;
+	dive_speed = 360;
+
+	spawn(x) {
+		super.spawn(x);
+
+		// the velocity of the dive, null until the dive starts
+		this.dive = null;
+	}
+
+	/**
+	 * Draws the kamikaze sprite, or a narrow arrow pointing down, filled in once it dives, if the
+	 * sprite is not loaded.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+		if (drawSprite(graphics, this.dive != null ? 'kamikaze_dive' : 'kamikaze', this)) {
+			return;
+		}
+
+		graphics.strokeStyle = this.color;
+		graphics.fillStyle = this.color;
+		graphics.beginPath();
+		graphics.moveTo(this.position.x, this.position.y + this.half_size.height);
+		graphics.lineTo(this.position.x + this.half_size.width / 2, this.position.y - this.half_size.height);
+		graphics.lineTo(this.position.x - this.half_size.width / 2, this.position.y - this.half_size.height);
+		graphics.closePath();
+		if (this.dive != null) {
+			graphics.fill();
+		}
+		graphics.stroke();
+	}
+
+	/**
+	 * Creeps down until the player is in range, then locks onto the player and dives.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	move(delta_time) {
+		const player = world.nearestPlayer(this.position);
+
+		if (this.dive == null && player.position.y - this.position.y < this.dive_range) {
+			const dx = player.position.x - this.position.x;
+			const dy = player.position.y - this.position.y;
+			const length = Math.sqrt(dx * dx + dy * dy) || 1;
+
+			this.dive = {
+				x: dx / length * this.dive_speed,
+				y: Math.max(dy / length, 0.5) * this.dive_speed
+			};
+		}
+
+		if (this.dive != null) {
+			this.velocity = this.dive;
+		} else {
+			this.velocity = { x: 0, y: this.speed };
+		}
+	}
+}
+
+/**
+ * A large, slow enemy that takes several hits to destroy.
+ * 
+ * @typedef TankEnemy
+ */
+class TankEnemy extends Enemy {
+	speed = 45;
+	max_health = 5;
+	score_value = 100;
+	contact_damage = 50;
+	drop_chance = 0.5;
+	color = '#A9A9A9';
+	size = { width: 22, height: 22 };
+	// seconds between spreads
+	fire_interval = 3;
+
+	spawn(x) {
+		super.spawn(x);
+
+		// the first spread comes half an interval after spawning
+		this.fire_timer = this.fire_interval / 2;
+	}
+
+	/**
+	 * Draws the tank sprite, or a square if the sprite is not loaded, with one pip for every hit it
+	 * can still take.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+		if (!drawSprite(graphics, 'tank', this)) {
+			graphics.strokeStyle = this.color;
+			graphics.strokeRect(
+				this.position.x - this.half_size.width,
+				this.position.y - this.half_size.height,
+				this.size.width,
+				this.size.height
+			);
+		}
+
+		graphics.fillStyle = this.color;
+		const pip_width = (this.size.width - 4) / this.max_health;
+		for (let i = 0; i < this.health; i++) {
+			graphics.fillRect(
+				this.position.x - this.half_size.width + 2 + i * pip_width,
+				this.position.y - 2,
+				pip_width - 1,
+				4
+			);
+		}
+	}
+
+	/**
+	 * Rolls straight down the board.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	move(delta_time) {
+		this.velocity = { x: 0, y: this.speed };
+	}
+
+	/**
+	 * Fires a spread of three projectiles straight down every fire interval.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	attack(delta_time) {
+		if (this.position.y <= 0 || world.isOver()) {
+			return;
+		}
+
+		this.fire_timer -= delta_time;
+		if (this.fire_timer <= 0) {
+			this.fire_timer += this.fire_interval;
+			this.fireSpread(Math.PI / 2, 3, Math.PI / 4, 120);
+		}
+	}
+}
+
+/**
+ * An enemy that breaks up into two smaller splitters when it is destroyed. The smaller splitters
+ * fly apart and do not split again.
+ * 
+ * @typedef SplitterEnemy
+ */
+class SplitterEnemy extends Enemy {
+	speed = 90;
+	color = '#8A2BE2';
+	// the attributes of a full splitter and of its pieces, a reused splitter can come back as either
+	full = { max_health: 2, score_value: 60, drop_chance: 0.08, size: { width: 16, height: 16 } };
+	piece = { max_health: 1, score_value: 20, drop_chance: 0, size: { width: 8, height: 8 } };
+
+	/**
+	 * @param {Number} x The horizontal starting point.
+	 * @param {Number} generation 0 for a full splitter, 1 for the pieces of a split one.
+	 * @param {Number} drift The sideways speed in pixels per second, used by the pieces to fly apart.
+	 */
+	spawn(x, generation = 0, drift = 0) {
+		Object.assign(this, generation > 0 ? this.piece : this.full);
+		super.spawn(x);
+
+		this.generation = generation;
+		this.drift = drift;
+	}
+
+	/**
+	 * Draws the splitter sprite, or a circle with a line through it where it will split if the
+	 * sprite is not loaded.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+		if (drawSprite(graphics, this.generation == 0 ? 'splitter' : 'splitter_piece', this)) {
+			return;
+		}
+
+		graphics.strokeStyle = this.color;
+		graphics.beginPath();
+		graphics.arc(this.position.x, this.position.y, this.half_size.width, 0, 2 * Math.PI);
+		if (this.generation == 0) {
+			graphics.moveTo(this.position.x, this.position.y - this.half_size.height);
+			graphics.lineTo(this.position.x, this.position.y + this.half_size.height);
+		}
+		graphics.stroke();
+	}
+
+	/**
+	 * Falls down the board, drifting sideways if this is a piece of a split splitter.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	move(delta_time) {
+		this.velocity = { x: this.drift, y: this.speed };
+	}
+
+	/**
+	 * Breaks into two pieces that fly off to either side.
+	 */
+	die(killer = null) {
+		super.die(killer);
+
+		if (this.generation == 0) {
+			[-90, 90].forEach(drift => {
+				const piece = world.entities.create(SplitterEnemy, this.position.x, this.generation + 1, drift);
+				piece.position.y = this.position.y;
+				piece.wave = this.wave;
+				world.enemy_count += 1;
+				world.score_keeper.enemySpawned(piece);
+			});
+		}
+	}
+}
+
+/**
+ * An enemy that moves down to a firing line near the top of the board, stays there for a while
+ * shooting at the player and then moves on down the board. Every third volley is a spread.
+ * 
+ * @typedef TurretEnemy
+ */
+class TurretEnemy extends Enemy {
+	speed = 60;
+	max_health = 3;
+	score_value = 80;
+	color = '#FF8C00';
+	size = { width: 16, height: 16 };
+	// seconds between shots
+	fire_interval = 1.5;
+	// seconds the turret stays on the firing line
+	hold_time = 8;
+
+	spawn(x) {
+		super.spawn(x);
+
+		// the height the turret stops at, in the top quarter of the board
+		this.hold_y = world.rng.range(0.08, 0.24) * world.config.canvas_size.height;
+		// seconds left on the firing line
+		this.hold_timer = this.hold_time;
+		// set once the turret leaves the firing line
+		this.leaving = false;
+		// stagger the first shot so turrets in a group do not all fire at once
+		this.fire_timer = world.rng.range(0.5, this.fire_interval);
+		this.volleys = 0;
+	}
+
+	/**
+	 * Draws the turret sprite, or a square if the sprite is not loaded, with a barrel pointing at
+	 * the player.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+		graphics.strokeStyle = this.color;
+		if (!drawSprite(graphics, 'turret', this)) {
+			graphics.strokeRect(
+				this.position.x - this.half_size.width,
+				this.position.y - this.half_size.height,
+				this.size.width,
+				this.size.height
+			);
+		}
+
+		const player = world.nearestPlayer(this.position);
+		const angle = Math.atan2(player.position.y - this.position.y, player.position.x - this.position.x);
+		graphics.beginPath();
+		graphics.moveTo(this.position.x, this.position.y);
+		graphics.lineTo(
+			this.position.x + Math.cos(angle) * this.size.width,
+			this.position.y + Math.sin(angle) * this.size.height
+		);
+		graphics.stroke();
+	}
+
+	/**
+	 * Moves down until the firing line is reached and moves on once the hold time is over.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	move(delta_time) {
+		if (this.leaving) {
+			this.velocity = { x: 0, y: this.speed };
+		} else if (this.position.y < this.hold_y) {
+			// slow down to land right on the firing line, the move is scaled by the enemy speed setting
+			const scaled_delta = delta_time * world.config.settings.enemy_speed;
+			this.velocity = { x: 0, y: Math.min(this.speed, (this.hold_y - this.position.y) / scaled_delta) };
+		} else {
+			this.velocity = { x: 0, y: 0 };
+			this.hold_timer -= delta_time;
+			this.leaving = this.hold_timer <= 0;
+		}
+	}
+
+	/**
+	 * Fires a bullet at the player every fire interval while on the firing line.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	attack(delta_time) {
+		if (this.position.y < this.hold_y || this.leaving || world.isOver()) {
+			return;
+		}
+
+		this.fire_timer -= delta_time;
+		if (this.fire_timer <= 0) {
+			this.fire_timer += this.fire_interval;
+			this.volleys += 1;
+
+			if (this.volleys % 3 == 0) {
+				this.fireAtPlayer(5, Math.PI / 3);
+			} else {
+				this.fireAtPlayer();
+			}
+		}
+	}
+}
+
+/**
+ * A large enemy with a big health pool that is fought on its own. It moves through phases as it
+ * loses health, every phase has its own bullet pattern, and awards a large score bonus.
+ * 
+ * @typedef Boss
+ */
+class Boss extends Enemy {
+	// the spawner keeps a reference to the boss, so it is never reused
+	static pooled = false;
+	speed = 60;
+	// the score value of a level 1 boss
+	level_score_value = 1000;
+	contact_damage = 40;
+	drop_chance = 1;
+	color = '#B22222';
+	size = { width: 60, height: 36 };
+	// the height the boss moves down to before it starts fighting
+	hold_y = 80;
+	// every phase starts once the health fraction drops to its threshold, pattern names a method
+	phases = [
+		{ threshold: 1, pattern: 'fan', fire_interval: 1.2, sway_speed: 0.8 },
+		{ threshold: 0.66, pattern: 'ring', fire_interval: 1.6, sway_speed: 1.2 },
+		{ threshold: 0.33, pattern: 'spiral', fire_interval: 0.12, sway_speed: 1.8 }
+	];
+
+	/**
+	 * Sets up a new boss. Every level makes the boss tougher and worth more.
+	 * 
+	 * @param {Number} x The horizontal starting point.
+	 * @param {Number} level 1 for the first boss of a run, 2 for the second and so on.
+	 */
+	spawn(x = world.config.canvas_size.width / 2, level = 1) {
+		this.level = level;
+		this.max_health = 25 + 15 * level;
+		this.score_value = this.level_score_value * level;
+		super.spawn(x);
+
+		this.phase_index = 0;
+		this.fire_timer = this.phase.fire_interval;
+		// the angle of the next spiral shot
+		this.spiral_angle = 0;
+		// seconds spent swaying, drives the sideways movement
+		this.sway_time = 0;
+	}
+
+	/**
+	 * @type {Object} The phase the boss is in.
+	 */
+	get phase() {
+		return this.phases[this.phase_index];
+	}
+
+	/**
+	 * Draws the boss sprite, or a wide hull if the sprite is not loaded, with one light per phase,
+	 * lit while the phase is still ahead.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+		const x = this.position.x;
+		const y = this.position.y;
+		const w = this.half_size.width;
+		const h = this.half_size.height;
+
+		graphics.strokeStyle = this.color;
+		if (!drawSprite(graphics, 'boss', this)) {
+			graphics.beginPath();
+			graphics.moveTo(x - w, y - h);
+			graphics.lineTo(x + w, y - h);
+			graphics.lineTo(x + w / 2, y + h);
+			graphics.lineTo(x - w / 2, y + h);
+			graphics.closePath();
+			graphics.stroke();
+		}
+
+		graphics.fillStyle = this.color;
+		this.phases.forEach((phase, index) => {
+			const light_x = x + (index - (this.phases.length - 1) / 2) * 12;
+			if (index >= this.phase_index) {
+				graphics.fillRect(light_x - 3, y - 3, 6, 6);
+			} else {
+				graphics.strokeRect(light_x - 3, y - 3, 6, 6);
+			}
+		});
+	}
+
+	/**
+	 * Moves down to the holding height and then sways from side to side, faster in later phases.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	move(delta_time) {
+		if (this.position.y < this.hold_y) {
+			// land right on the holding height, the move is scaled by the enemy speed setting
+			const scaled_delta = delta_time * world.config.settings.enemy_speed;
+			this.velocity = { x: 0, y: Math.min(this.speed, (this.hold_y - this.position.y) / scaled_delta) };
+			return;
+		}
+
+		// the rate of change of center + reach * sin(sway_time)
+		const center = world.config.canvas_size.width / 2;
+		const reach = center - this.size.width;
+		this.sway_time += delta_time * this.phase.sway_speed;
+		this.velocity = { x: reach * this.phase.sway_speed * Math.cos(this.sway_time), y: 0 };
+	}
+
+	/**
+	 * Fires the pattern of the current phase every fire interval once the holding height is
+	 * reached.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	attack(delta_time) {
+		if (this.position.y < this.hold_y || world.isOver()) {
+			return;
+		}
+
+		this.fire_timer -= delta_time;
+		if (this.fire_timer <= 0) {
+			this.fire_timer += this.phase.fire_interval;
+			this[this.phase.pattern]();
+		}
+	}
+
+	/**
+	 * A fan of five projectiles at the player.
+	 */
+	fan() {
+		this.fireAtPlayer(5, Math.PI / 3);
+	}
+
+	/**
+	 * A ring of projectiles in every direction and a single aimed shot.
+	 */
+	ring() {
+		this.fireSpread(0, 16, 2 * Math.PI * 15 / 16, 140);
+		this.fireAtPlayer();
+	}
+
+	/**
+	 * Two projectiles on opposite sides of a slowly turning spiral.
+	 */
+	spiral() {
+		this.spiral_angle += 0.35;
+		this.fireSpread(this.spiral_angle, 2, Math.PI, 160, 8);
+	}
+
+	/**
+	 * Removes health and moves on to the next phase once its threshold is reached. The boss does
+	 * not take damage until it reached its holding height.
+	 * 
+	 * @param {Number} amount The health to remove.
+	 * @param {Body} source The body the damage came from, if any.
+	 */
+	takeDamage(amount, source = null) {
+		if (this.position.y < this.hold_y) {
+			return;
+		}
+
+		super.takeDamage(amount, source);
+
+		const fraction = this.health / this.max_health;
+		while (this.phase_index + 1 < this.phases.length && fraction <= this.phases[this.phase_index + 1].threshold) {
+			this.phase_index += 1;
+			this.fire_timer = this.phase.fire_interval;
+		}
+	}
+
+	/**
+	 * Damages the player when they run into the boss. The boss stays, so the player is only
+	 * damaged again once their hit flash is over.
+	 * 
+	 * @param {Body} other The body this boss collided with.
+	 */
+	onCollision(other) {
+		if (other instanceof Player && other.hit == 0 && !other.isDead()) {
+			other.takeDamage(this.contact_damage)
+		}
+	}
+}
+
+/* 
+------------------------------
+----- COLLISION SECTION ------ 
+------------------------------
+*/
+
+/**
+ * Detects overlapping bodies and notifies both of them through their onCollision method. Bodies are
+ * first sorted into a uniform grid (the broad phase) so that only bodies sharing a cell are tested
+ * against each other with an axis aligned bounding box check (the narrow phase).
+ * 
+ * @typedef CollisionHandler
+ */
+class CollisionHandler {
+	/**
+	 * Creates a new collision handler.
+	 * 
+	 * @param {Number} cell_size Width and height of a single grid cell in pixels.
+	 */
+	constructor(cell_size = 50) {
+		this.cell_size = cell_size;
+	}
+
+	/**
+	 * Sorts every body into each grid cell its bounding box touches.
+	 * 
+	 * @returns {Map<String, Array<Body>>} A map of cell keys to the bodies inside that cell.
+	 */
+	buildGrid() {
+		const grid = new Map();
+
+		world.entities.all().forEach(entity => {
+			const min_x = Math.floor((entity.position.x - entity.half_size.width) / this.cell_size);
+			const max_x = Math.floor((entity.position.x + entity.half_size.width) / this.cell_size);
+			const min_y = Math.floor((entity.position.y - entity.half_size.height) / this.cell_size);
+			const max_y = Math.floor((entity.position.y + entity.half_size.height) / this.cell_size);
+
+			for (let x = min_x; x <= max_x; x++) {
+				for (let y = min_y; y <= max_y; y++) {
+					const key = `${x},${y}`;
+					if (!grid.has(key)) {
+						grid.set(key, []);
+					}
+					grid.get(key).push(entity);
+				}
+			}
+		});
+
+		return grid;
+	}
+
+	/**
+	 * @param {Body} a The first body.
+	 * @param {Body} b The second body.
+	 * @returns {Boolean} true if the bounding boxes of both bodies overlap, false otherwise.
+	 */
+	overlaps(a, b) {
+		return Math.abs(a.position.x - b.position.x) <= a.half_size.width + b.half_size.width &&
+			Math.abs(a.position.y - b.position.y) <= a.half_size.height + b.half_size.height;
+	}
+
+	/**
+	 * Finds every overlapping pair of bodies and sends both of them a collision callback. Each pair
+	 * is only reported once per update, even if the bodies share more than one cell. Bodies that
+	 * are already marked for removal are skipped.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		const tested = new Set();
+
+		for (let cell of this.buildGrid().values()) {
+			for (let i = 0; i < cell.length; i++) {
+				for (let j = i + 1; j < cell.length; j++) {
+					const a = cell[i];
+					const b = cell[j];
+
+					const key = a.id < b.id ? `${a.id}:${b.id}` : `${b.id}:${a.id}`;
+					if (tested.has(key)) {
+						continue;
+					}
+					tested.add(key);
+
+					if (a.removed || b.removed || !this.overlaps(a, b)) {
+						continue;
+					}
+
+					a.onCollision(b);
+					b.onCollision(a);
+				}
+			}
+		}
+	}
+}
+
+/* 
+------------------------------
+------ SPAWNER SECTION ------- 
+------------------------------
+*/
+
+/**
+ * Maps the enemy type names used in wave definitions to the classes that are spawned.
+ * 
+ * @type {Object<String, typeof Enemy>}
+ */
+const enemy_types = {
+	basic: Enemy,
+	drifter: DrifterEnemy,
+	kamikaze: KamikazeEnemy,
+	tank: TankEnemy,
+	splitter: SplitterEnemy,
+	turret: TurretEnemy,
+	boss: Boss
+};
+
+/**
+ * Spawns enemies by playing through a declarative wave definition (see config.waves). Every wave
+ * is made of groups, each group spawns a number of enemies of a single type at a fixed interval
+ * and at a random x inside its entry range. Once the last wave is cleared the definition loops,
+ * while the ramp keeps making every group larger and faster.
+ * 
+ * A boss fight starts after every few waves and whenever the score passes the next boss score.
+ * Normal spawning pauses until the boss is destroyed.
+ * 
+ * @typedef EnemySpawner
+ */
+class EnemySpawner {
+	/**
+	 * Creates a new spawner that starts at the first wave.
+	 * 
+	 * @param {Object} definition The wave definition, in the same format as config.waves.
+	 * @throws {Error} If the definition does not pass checkDefinition.
+	 */
+	constructor(definition) {
+		EnemySpawner.checkDefinition(definition);
+
+		this.definition = definition;
+		// seconds since the spawner was created
+		this.elapsed = 0;
+		// number of waves started so far, including the current one
+		this.wave_number = 0;
+		this.startWave();
+
+		/** @type {Boss} The boss being fought, null when there is no boss fight */
+		this.boss = null;
+		// number of bosses spawned so far
+		this.boss_count = 0;
+		// the score that triggers the next boss fight
+		this.next_boss_score = definition.boss.every_score;
+	}
+
+	/**
+	 * Checks the shape of a wave definition and that every type in it can be spawned. The type of
+	 * a mod is missing when the mod is not loaded, this fails before the run instead of in it.
+	 * 
+	 * @param {Object} definition A wave definition, in the same format as config.waves.
+	 * @throws {Error} If it is no wave definition or a group or the boss has a type that is not in
+	 * enemy_types.
+	 */
+	static checkDefinition(definition) {
+		const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+		if (!isObject(definition) || !isObject(definition.ramp) || !isObject(definition.boss)
+			|| !Array.isArray(definition.waves) || definition.waves.length == 0
+			|| !definition.waves.every(wave => isObject(wave) && Array.isArray(wave.groups) && wave.groups.every(isObject))) {
+			throw new Error('The waves are not a wave definition');
+		}
+
+		const types = definition.waves.flatMap(wave => wave.groups.map(group => group.type));
+		for (let type of [...types, definition.boss.type]) {
+			if (!Object.hasOwn(enemy_types, type)) {
+				throw new Error(`Unknown enemy type ${type} in the waves, is the mod adding it loaded?`);
+			}
+		}
+	}
+
+	/**
+	 * @type {Number} A multiplier of at least 1 that grows with elapsed time and score. Group
+	 * counts are multiplied by it and spawn intervals are divided by it.
+	 */
+	get difficulty() {
+		const ramp = this.definition.ramp;
+		const difficulty = 1 + ramp.per_second * this.elapsed + ramp.per_score * world.score;
+		return Math.min(difficulty, ramp.max);
+	}
+
+	/**
+	 * @type {Object} The definition of the wave that is currently being spawned.
+	 */
+	get wave() {
+		const waves = this.definition.waves;
+		return waves[(this.wave_number - 1) % waves.length];
+	}
+
+	/**
+	 * @type {String} The background theme of the boss fight or of the current wave.
+	 */
+	get theme() {
+		return this.boss != null ? this.definition.boss.theme : this.wave.theme;
+	}
+
+	/**
+	 * Moves on to the next wave in the definition and resets the state of its groups.
+	 */
+	startWave() {
+		this.wave_number += 1;
+		this.wave_delay = this.wave.delay;
+
+		const difficulty = this.difficulty;
+		this.groups = this.wave.groups.map(group => ({
+			definition: group,
+			remaining: Math.round(group.count * difficulty),
+			timer: group.delay || 0
+		}));
+	}
+
+	/**
+	 * Spawns a single enemy of the given group.
+	 * 
+	 * @param {Object} group The group definition from the wave.
+	 */
+	spawn(group) {
+		const [min_x, max_x] = group.x_range;
+		const type = enemy_types[group.type];
+		const width = world.config.canvas_size.width;
+
+		const enemy = world.entities.create(type, Math.floor(world.rng.range(min_x, max_x) * width));
+		enemy.wave = this.wave_number;
+		world.enemy_count += 1;
+		world.score_keeper.enemySpawned(enemy);
+	}
+
+	/**
+	 * Starts a boss fight.
+	 */
+	spawnBoss() {
+		const type = enemy_types[this.definition.boss.type];
+
+		this.boss_count += 1;
+		this.boss = world.entities.create(type, world.config.canvas_size.width / 2, this.boss_count);
+		world.enemy_count += 1;
+	}
+
+	/**
+	 * Counts down the timers of every group in the current wave and spawns enemies when they run
+	 * out. Starts the next wave when all groups are done.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		// stop spawning once every player is dead
+		if (world.isOver()) {
+			return;
+		}
+
+		this.elapsed += delta_time;
+
+		// pause normal spawning during a boss fight
+		if (this.boss != null) {
+			if (!this.boss.removed) {
+				return;
+			}
+			this.boss = null;
+		}
+
+		if (world.score >= this.next_boss_score) {
+			this.next_boss_score += this.definition.boss.every_score;
+			this.spawnBoss();
+			return;
+		}
+
+		// wait for the wave to begin
+		if (this.wave_delay > 0) {
+			this.wave_delay -= delta_time;
+			return;
+		}
+
+		const difficulty = this.difficulty;
+		this.groups.forEach(group => {
+			if (group.remaining <= 0) {
+				return;
+			}
+
+			group.timer -= delta_time * difficulty * world.config.settings.spawn_rate;
+			if (group.timer <= 0) {
+				this.spawn(group.definition);
+				group.remaining -= 1;
+				group.timer += group.definition.interval;
+			}
+		});
+
+		if (this.groups.every(group => group.remaining <= 0)) {
+			world.score_keeper.waveSpawned(this.wave_number);
+			if (this.wave_number % this.definition.boss.every_waves == 0) {
+				this.spawnBoss();
+			}
+			this.startWave();
+		}
+	}
+
+	/**
+	 * @returns {Object} The state of the spawner for a world snapshot. The definition is left out,
+	 * it is part of the config. Groups are stored by their index in the current wave.
+	 */
+	toSnapshot() {
+		return {
+			elapsed: this.elapsed,
+			wave_number: this.wave_number,
+			wave_delay: this.wave_delay,
+			groups: this.groups.map(group => ({
+				index: this.wave.groups.indexOf(group.definition),
+				remaining: group.remaining,
+				timer: group.timer
+			})),
+			boss: this.boss != null ? this.boss.id : null,
+			boss_count: this.boss_count,
+			next_boss_score: this.next_boss_score
+		};
+	}
+
+	/**
+	 * Makes a spawner that carries on from a stored state, without starting a wave first.
+	 * 
+	 * @param {Object} definition The wave definition, in the same format as config.waves.
+	 * @param {Object} data The state stored by toSnapshot.
+	 * @param {EntityManager} entities The restored bodies, to find the boss in.
+	 * @returns {EnemySpawner} The restored spawner.
+	 * @throws {Error} If the definition does not pass checkDefinition.
+	 */
+	static fromSnapshot(definition, data, entities) {
+		EnemySpawner.checkDefinition(definition);
+
+		const spawner = Object.create(EnemySpawner.prototype);
+		spawner.definition = definition;
+		spawner.restore(data, entities);
+		return spawner;
+	}
+
+	/**
+	 * Takes over the state stored by toSnapshot.
+	 * 
+	 * @param {Object} data The stored state.
+	 * @param {EntityManager} entities The restored bodies, to find the boss in.
+	 */
+	restore(data, entities) {
+		this.elapsed = data.elapsed;
+		this.wave_number = data.wave_number;
+		this.wave_delay = data.wave_delay;
+		this.groups = data.groups.map(group => ({
+			definition: this.wave.groups[group.index],
+			remaining: group.remaining,
+			timer: group.timer
+		}));
+		// a boss destroyed in the last update is already gone
+		this.boss = data.boss != null ? entities.get(data.boss) || null : null;
+		this.boss_count = data.boss_count;
+		this.next_boss_score = data.next_boss_score;
+	}
+}
+
+/* 
+------------------------------
+------- EVENT SECTION -------- 
+------------------------------
+*/
+
+/**
+ * Every event of the game with the fields of its payload. The payload of an event is a single
+ * object, emitting it without one of these fields is an error.
+ * 
+ * bodySpawned: a body was added to the world, after it was set up.
+ * enemyKilled: an enemy was destroyed, with the kill event given to the score keeper. player is
+ * the player that destroyed it, null if it was none.
+ * playerHit: a player took damage, source is the body that dealt it if any, damage the health lost.
+ * shotFired: a player weapon fired a projectile.
+ * runStarted: a run is about to play its first update.
+ * runEnded: the last player of a run died.
+ * tick: the world finished an update.
+ * 
+ * @type {Object<String, Array<String>>}
+ */
+const event_types = {
+	bodySpawned: ['body'],
+	enemyKilled: ['enemy', 'type', 'position', 'points', 'wave', 'player'],
+	playerHit: ['player', 'source', 'damage'],
+	shotFired: ['owner', 'projectile'],
+	runStarted: ['world'],
+	runEnded: ['world'],
+	tick: ['world', 'delta_time']
+};
+
+/**
+ * Passes the events of the game on to everything that listens for them, so the world does not
+ * need to know about the achievements or the mods. Only the events of its types can be emitted or
+ * listened to, and every payload is checked against its type.
+ * 
+ * Listeners run inside the update of the world. Listeners that change the world have to draw
+ * their random numbers from world.rng, like the rest of the simulation.
+ * 
+ * @typedef EventBus
+ */
+class EventBus {
+	/**
+	 * @param {Object<String, Array<String>>} types The event names with their payload fields, in
+	 * the format of event_types.
+	 */
+	constructor(types) {
+		this.types = types;
+		/** @type {Map<String, Array<Function>>} The listeners of every event, in the order they were added */
+		this.listeners = new Map(Object.keys(types).map(name => [name, []]));
+	}
+
+	/**
+	 * @param {String} name The name of an event.
+	 * @throws {Error} If there is no event with the name.
+	 */
+	checkName(name) {
+		if (!this.listeners.has(name)) {
+			throw new Error(`Unknown event ${name}`);
+		}
+	}
+
+	/**
+	 * Calls a function with the payload of every emitted event of a type.
+	 * 
+	 * @param {String} name The name of the event.
+	 * @param {Function} listener Called with the payload.
+	 * @returns {Function} Removes the listener again.
+	 * @throws {Error} If there is no event with the name.
+	 */
+	on(name, listener) {
+		this.checkName(name);
+		this.listeners.get(name).push(listener);
+		return () => this.off(name, listener);
+	}
+
+	/**
+	 * Stops calling a listener added with on.
+	 * 
+	 * @param {String} name The name of the event.
+	 * @param {Function} listener The listener to remove.
+	 */
+	off(name, listener) {
+		this.checkName(name);
+		this.listeners.set(name, this.listeners.get(name).filter(other => other != listener));
+	}
+
+	/**
+	 * Calls every listener of an event.
+	 * 
+	 * @param {String} name The name of the event.
+	 * @param {Object} payload The payload, with every field of the event type.
+	 * @throws {Error} If there is no event with the name or the payload misses a field.
+	 */
+	emit(name, payload) {
+		this.checkName(name);
+		const missing = this.types[name].filter(field => !(field in payload));
+		if (missing.length > 0) {
+			throw new Error(`The ${name} event is missing ${missing.join(', ')}`);
+		}
+
+		// listeners removed by other listeners are still called this time
+		this.listeners.get(name).slice().forEach(listener => listener(payload));
+	}
+}
+
+/** @type {EventBus} The events of every world */
+const game_events = new EventBus(event_types);
+
+/* 
+------------------------------
+-------- MOD SECTION --------- 
+------------------------------
+*/
+
+/**
+ * The API for mods, scripts that add enemies, weapons and rules without editing this file. A mod
+ * is a plain script listed in config.mods, loaded after this one. It can extend Body, Enemy or
+ * Weapon and register the classes here, and add hooks that are called as the game plays out. The
+ * hooks are names for events of game_events, mods can also listen to any event with
+ * game_events.on:
+ * 
+ *     class ZigzagEnemy extends Enemy {
+ *         move(delta_time) {
+ *             this.velocity = { x: this.age % 1 < 0.5 ? 80 : -80, y: this.speed };
+ *         }
+ *     }
+ *     Game.registerEntityType('zigzag', ZigzagEnemy);
+ *     config.waves.waves[0].groups.push({ type: 'zigzag', count: 5, interval: 1, x_range: [0.2, 0.7] });
+ *     Game.registerHooks({ onKill: event => console.log(`${event.type} destroyed`) });
+ * 
+ * Pooled enemies set their state in spawn, not in the constructor, see EntityManager. Mods run in
+ * the simulation, so for replays and online games to play out the same they have to draw their
+ * random numbers from world.rng and every client has to load the same mods. See mods/zigzag.js.
+ * 
+ * @typedef Game
+ */
+class Game {
+	/**
+	 * @type {Object<String, String>} The event of every hook, the callbacks get the payload of the
+	 * event, see event_types.
+	 */
+	static hooks = {
+		onSpawn: 'bodySpawned',
+		onKill: 'enemyKilled',
+		onPlayerHit: 'playerHit',
+		onTick: 'tick'
+	};
+
+	/** @type {Object<String, typeof Body>} The registered bodies that are not enemies, by name */
+	static entity_types = {};
+
+	/** @type {Array<String>} The urls of the mods that were loaded, in order, see loadMods */
+	static mods = [];
+
+	/**
+	 * Checks that a replay or an online game can be played here. It only plays out the same with
+	 * the mods it was played with.
+	 * 
+	 * @param {Array<String>} mods The mods of the game, the mods field of its config.
+	 * @throws {Error} If the mods are not the ones that were loaded, in the same order.
+	 */
+	static checkMods(mods = []) {
+		if (JSON.stringify(mods) !== JSON.stringify(Game.mods)) {
+			throw new Error(`Needs the mods [${mods.join(', ')}] but [${Game.mods.join(', ')}] are loaded`);
+		}
+	}
+
+	/**
+	 * Registers a body class. Enemies are added to enemy_types, so wave groups and the boss can
+	 * use them by name. Other bodies are only registered so they can be restored from snapshots,
+	 * the mod makes them itself.
+	 * 
+	 * @param {String} name The name of the type, used in config.waves for enemies.
+	 * @param {typeof Body} type A class extending Body, its class name has to be unique too.
+	 * @throws {Error} If the class is no body or the name or class name is taken.
+	 */
+	static registerEntityType(name, type) {
+		if (!(type.prototype instanceof Body)) {
+			throw new Error(`${type.name} does not extend Body`);
+		}
+		if (enemy_types[name] != null || Game.entity_types[name] != null) {
+			throw new Error(`There already is an entity type named ${name}`);
+		}
+		if (bodyClass(type.name) != null) {
+			throw new Error(`There already is a body class named ${type.name}`);
+		}
+
+		if (type.prototype instanceof Enemy) {
+			enemy_types[name] = type;
+		} else {
+			Game.entity_types[name] = type;
+		}
+	}
+
+	/**
+	 * Registers a weapon class, and a power up that hands it out if one is given.
+	 * 
+	 * @param {String} name The name of the weapon, it has to match the name field of the class.
+	 * @param {typeof Weapon} type A class extending Weapon.
+	 * @param {Object} power_up The label, color and duration of the power up, in the format of
+	 * power_ups. Without one the weapon is never dropped.
+	 * @throws {Error} If the class is no weapon or the name is taken or does not match.
+	 */
+	static registerWeapon(name, type, power_up = null) {
+		if (!(type.prototype instanceof Weapon)) {
+			throw new Error(`${type.name} does not extend Weapon`);
+		}
+		if (weapon_types[name] != null || power_ups[name] != null) {
+			throw new Error(`There already is a weapon or power up named ${name}`);
+		}
+		if (new type().name != name) {
+			throw new Error(`The name field of ${type.name} is not ${name}`);
+		}
+
+		weapon_types[name] = type;
+		if (power_up != null) {
+			power_ups[name] = Object.assign({ label: name[0].toUpperCase(), color: '#FFFFFF', duration: 10 }, power_up);
+		}
+	}
+
+	/**
+	 * Adds callbacks to the hooks.
+	 * 
+	 * @param {Object<String, Function>} hooks The callbacks by hook name, like { onTick: ... }.
+	 * @throws {Error} If a hook does not exist, none of the callbacks are added then.
+	 */
+	static registerHooks(hooks) {
+		for (let name of Object.keys(hooks)) {
+			if (Game.hooks[name] == null) {
+				throw new Error(`Unknown hook ${name}`);
+			}
+		}
+		for (let [name, callback] of Object.entries(hooks)) {
+			game_events.on(Game.hooks[name], callback);
+		}
+	}
+}
+
+/* 
+------------------------------
+------- SCORE SECTION -------- 
+------------------------------
+*/
+
+/**
+ * Adds up the score of a run from the events of the run: kills, waves that were cleared and time
+ * spent without taking damage. Kills in quick succession build a combo that multiplies their
+ * points, the combo wears off a step at a time once the kills stop and is lost when a player is
+ * hit. Every change to the score shows a popup that floats up from where it happened.
+ * 
+ * The players share the combo and the score of the run, but kills and streak bonuses are also
+ * added to the points of the player that earned them.
+ * 
+ * @typedef ScoreKeeper
+ */
+class ScoreKeeper {
+	// seconds a popup floats before it is gone
+	popup_time = 1;
+
+	/**
+	 * @param {Object} rules The scoring rules, in the same format as config.scoring.
+	 */
+	constructor(rules) {
+		this.rules = rules;
+		/** @type {Number} The points earned this run, without the time alive */
+		this.points = 0;
+		// the number of kills in the current combo
+		this.combo = 0;
+		// seconds until the combo starts to wear off
+		this.combo_timer = 0;
+		/** @type {Map<Player, Object>} The seconds since every player last took damage and the streak bonuses it got in a row */
+		this.streaks = new Map();
+		/** @type {Map<Number, Object>} The spawned and killed enemy counts of every wave still being fought */
+		this.waves = new Map();
+		/** @type {Array<Object>} The popups on screen */
+		this.popups = [];
+	}
+
+	/**
+	 * @type {Number} The number the points of the next kill are multiplied by.
+	 */
+	get multiplier() {
+		return Math.min(1 + this.rules.combo_step * this.combo, this.rules.max_multiplier);
+	}
+
+	/**
+	 * Adds points and shows a popup for them.
+	 * 
+	 * @param {Number} points The points to add.
+	 * @param {Object} position Where the popup starts.
+	 * @param {String} label Shown in front of the points.
+	 * @param {String} color The color of the popup.
+	 * @param {Player} player The player that earned the points, if any.
+	 */
+	award(points, position, label, color, player = null) {
+		this.points += points;
+		if (player != null) {
+			player.points += points;
+		}
+		this.popups.push({ text: `${label}+${points}`, x: position.x, y: position.y, age: 0, color: color });
+	}
+
+	/**
+	 * Counts an enemy towards its wave, so the wave can be cleared once all of them are destroyed.
+	 * 
+	 * @param {Enemy} enemy The spawned enemy, its wave is null if it is not part of a wave.
+	 */
+	enemySpawned(enemy) {
+		if (enemy.wave == null) {
+			return;
+		}
+		if (!this.waves.has(enemy.wave)) {
+			this.waves.set(enemy.wave, { spawned: 0, killed: 0, done: false });
+		}
+		this.waves.get(enemy.wave).spawned += 1;
+	}
+
+	/**
+	 * Marks a wave as fully spawned, it is cleared once its last enemy is gone.
+	 * 
+	 * @param {Number} wave The number of the wave.
+	 */
+	waveSpawned(wave) {
+		if (this.waves.has(wave)) {
+			this.waves.get(wave).done = true;
+		}
+	}
+
+	/**
+	 * Scores a kill and grows the combo.
+	 * 
+	 * @param {Object} event The type name, position, base points and wave of the destroyed enemy,
+	 * and the player that destroyed it if it was one.
+	 */
+	kill(event) {
+		const points = Math.round(event.points * this.multiplier);
+		const label = this.combo > 0 ? `x${this.multiplier.toFixed(1)} ` : '';
+		this.award(points, event.position, label, '#FFFFFF', event.player);
+
+		this.combo += 1;
+		this.combo_timer = this.rules.combo_window;
+
+		if (this.waves.has(event.wave)) {
+			this.waves.get(event.wave).killed += 1;
+		}
+	}
+
+	/**
+	 * @param {Player} player A player.
+	 * @returns {Number} Seconds the player has been alive without taking damage, in this run.
+	 */
+	undamagedTime(player) {
+		const streak = this.streaks.get(player);
+		return streak != null ? streak.time + streak.count * this.rules.streak_interval : 0;
+	}
+
+	/**
+	 * Breaks the combo and the no damage streak of the player.
+	 * 
+	 * @param {Player} player The player that was hit.
+	 */
+	playerHit(player) {
+		this.combo = 0;
+		this.streaks.delete(player);
+	}
+
+	/**
+	 * Wears off the combo, awards the streak and wave clear bonuses and moves the popups.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		// once the combo timer runs out the combo drops a kill every combo_decay seconds
+		if (this.combo > 0) {
+			this.combo_timer -= delta_time;
+			if (this.combo_timer <= 0) {
+				this.combo -= 1;
+				this.combo_timer += this.rules.combo_decay;
+			}
+		}
+
+		for (let player of world.players) {
+			if (player.isDead()) {
+				continue;
+			}
+			if (!this.streaks.has(player)) {
+				this.streaks.set(player, { time: 0, count: 0 });
+			}
+
+			const streak = this.streaks.get(player);
+			streak.time += delta_time;
+			if (streak.time >= this.rules.streak_interval) {
+				streak.time -= this.rules.streak_interval;
+				streak.count += 1;
+				this.award(this.rules.streak_bonus * streak.count, player.position, 'no damage ', player.base_color, player);
+			}
+		}
+
+		// a wave is cleared once it is done spawning and none of its enemies are left, the bonus
+		// is only given if every one of them was destroyed
+		const fought = new Set(world.entities.all(Enemy).filter(enemy => !enemy.removed).map(enemy => enemy.wave));
+		for (let [wave, counts] of this.waves) {
+			if (!counts.done || fought.has(wave)) {
+				continue;
+			}
+
+			if (counts.killed >= counts.spawned) {
+				const center = { x: world.config.canvas_size.width / 2, y: world.config.canvas_size.height / 2 };
+				this.award(this.rules.wave_clear_bonus * wave, center, `wave ${wave} clear `, '#FFD700');
+			}
+			this.waves.delete(wave);
+		}
+
+		this.popups.forEach(popup => popup.age += delta_time);
+		this.popups = this.popups.filter(popup => popup.age < this.popup_time);
+	}
+
+	/**
+	 * Draws the popups and, while there is a combo, the multiplier with a bar for the time left
+	 * before it wears off.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+		graphics.font = "10px Arial";
+		graphics.textAlign = "center";
+		this.popups.forEach(popup => {
+			graphics.globalAlpha = 1 - popup.age / this.popup_time;
+			graphics.fillStyle = popup.color;
+			graphics.fillText(popup.text, popup.x, popup.y - 30 * popup.age);
+		});
+		graphics.globalAlpha = 1;
+
+		if (this.multiplier > 1) {
+			graphics.textAlign = "left";
+			graphics.fillStyle = '#FFD700';
+			graphics.fillText(`combo x${this.multiplier.toFixed(1)}`, 5, 40);
+			graphics.fillRect(5, 44, 50 * Math.max(0, this.combo_timer) / this.rules.combo_window, 3);
+		}
+		graphics.textAlign = "left";
+	}
+
+	/**
+	 * @returns {Object} The state of the score keeper for a world snapshot. The maps are stored as
+	 * lists in their order, players by their index.
+	 */
+	toSnapshot() {
+		return {
+			points: this.points,
+			combo: this.combo,
+			combo_timer: this.combo_timer,
+			streaks: [...this.streaks].map(([player, streak]) => Object.assign({ player: player.index }, streak)),
+			waves: [...this.waves].map(([wave, counts]) => Object.assign({ wave: wave }, counts)),
+			popups: this.popups
+		};
+	}
+
+	/**
+	 * Takes over the state stored by toSnapshot.
+	 * 
+	 * @param {Object} data The stored state.
+	 * @param {Array<Player>} players The restored players.
+	 */
+	restore(data, players) {
+		this.points = data.points;
+		this.combo = data.combo;
+		this.combo_timer = data.combo_timer;
+		this.streaks = new Map(data.streaks.map(({ player, time, count }) => [players[player], { time: time, count: count }]));
+		this.waves = new Map(data.waves.map(({ wave, spawned, killed, done }) => [wave, { spawned: spawned, killed: killed, done: done }]));
+		this.popups = data.popups;
+	}
+}
+
+/* 
+------------------------------
+----- SETTINGS SECTION ------- 
+------------------------------
+*/
+
+/**
+ * The tunable game settings with the range each of them is allowed to take. The settings scale
+ * the values of the classes instead of replacing them, so every enemy type keeps its own speed
+ * and damage. Step is the amount the options menu changes a setting by.
+ */
+const settings_schema = {
+	// multiplies the damage enemies and their projectiles deal to the player
+	enemy_damage: { label: 'enemy damage', min: 0.25, max: 3, step: 0.05 },
+	// multiplies how fast every enemy moves
+	enemy_speed: { label: 'enemy speed', min: 0.5, max: 2, step: 0.05 },
+	// multiplies how quickly the enemies of a wave spawn after each other
+	spawn_rate: { label: 'spawn rate', min: 0.5, max: 3, step: 0.05 },
+	// multiplies the seconds between the shots of the player's weapon
+	fire_cooldown: { label: 'fire cooldown', min: 0.25, max: 2, step: 0.05 },
+	// pixels below the bottom of the board an enemy moves before it is removed
+	despawn_margin: { label: 'despawn margin', min: 0, max: 50, step: 5 }
+};
+
+/**
+ * Complete sets of settings to pick from. Settings that match none of them are shown as custom.
+ */
+const settings_presets = {
+	easy: { enemy_damage: 0.6, enemy_speed: 0.8, spawn_rate: 0.75, fire_cooldown: 0.8, despawn_margin: 0 },
+	normal: { enemy_damage: 1, enemy_speed: 1, spawn_rate: 1, fire_cooldown: 1, despawn_margin: 0 },
+	hard: { enemy_damage: 1.5, enemy_speed: 1.2, spawn_rate: 1.35, fire_cooldown: 1.2, despawn_margin: 40 }
+};
+
+/**
+ * Checks settings from an untrusted source, like a file or the url, and fills in the missing ones.
+ * The values start out as the named preset, normal by default, and every other key overrides one
+ * setting of it.
+ * 
+ * @param {Object} values A preset name under the key preset and any settings from the schema.
+ * @returns {Object} A complete set of settings.
+ * @throws {Error} If there is an unknown preset or setting, or a value out of range.
+ */
+function validateSettings(values) {
+	if (values == null || typeof values !== 'object' || Array.isArray(values)) {
+		throw new Error('Settings must be an object');
+	}
+
+	const { preset = 'normal', ...overrides } = values;
+	if (preset != 'custom' && settings_presets[preset] == null) {
+		throw new Error(`Unknown preset ${preset}`);
+	}
+
+	const settings = Object.assign({}, settings_presets[preset] || settings_presets.normal);
+	for (let [name, value] of Object.entries(overrides)) {
+		const field = settings_schema[name];
+		if (field == null) {
+			throw new Error(`Unknown setting ${name}`);
+		}
+		if (typeof value !== 'number' || !Number.isFinite(value) || value < field.min || value > field.max) {
+			throw new Error(`${name} must be a number from ${field.min} to ${field.max}`);
+		}
+		settings[name] = value;
+	}
+	return settings;
+}
+
+/**
+ * @param {Object} settings A complete set of settings.
+ * @returns {String} The name of the preset the settings match, custom if they match none.
+ */
+function settingsPreset(settings) {
+	const match = Object.entries(settings_presets).find(([name, preset]) => {
+		return Object.keys(settings_schema).every(key => preset[key] == settings[key]);
+	});
+	return match != null ? match[0] : 'custom';
+}
+
+/**
+ * Reads settings from a url query string, like ?preset=hard&enemy_speed=1.5. Parameters that are
+ * not settings are ignored.
+ * 
+ * @param {String} query The query string, with or without the leading question mark.
+ * @returns {Object} The settings to pass to validateSettings, null if the query has none.
+ */
+function settingsFromQuery(query) {
+	const params = new URLSearchParams(query);
+	const values = {};
+	for (let [name, value] of params) {
+		if (name == 'preset') {
+			values.preset = value;
+		} else if (settings_schema[name] != null) {
+			values[name] = value.trim() !== '' ? Number(value) : NaN;
+		}
+	}
+	return Object.keys(values).length > 0 ? values : null;
+}
+
+/**
+ * @param {Object} settings A complete set of settings.
+ * @returns {String} The query string that settingsFromQuery turns back into the same settings.
+ */
+function settingsToQuery(settings) {
+	const preset = settingsPreset(settings);
+	if (preset != 'custom') {
+		return `?preset=${preset}`;
+	}
+	return `?${new URLSearchParams(Object.entries(settings))}`;
+}
+
+/* 
+------------------------------
+------ CONFIG SECTION -------- 
+------------------------------
+*/
+
+const config = {
+	// the size of the board in canvas units, the canvas is scaled to fit the window around it
+	canvas_size: {
+		width: 360,
+		height: 500
+	},
+	update_rate: {
+		fps: 60,
+		seconds: null
+	},
+	// the difficulty settings, replaced by the options menu or a settings file or url
+	settings: validateSettings({ preset: 'normal' }),
+	// the wave definition played by the enemy spawner, kept as plain JSON so it can be tuned
+	// without touching any classes. Times are in seconds, x_range is [min, max) as fractions of
+	// the board width. A boss fight follows every every_waves waves and starts whenever the
+	// score passes another every_score points. Every wave and the boss fight name a background theme.
+	waves: {
+		"ramp": { "per_second": 0.005, "per_score": 0.002, "max": 3 },
+		"boss": { "type": "boss", "every_waves": 5, "every_score": 4000, "theme": "inferno" },
+		"waves": [
+			{
+				"delay": 1,
+				"theme": "deep_space",
+				"groups": [
+					{ "type": "basic", "count": 15, "interval": 0.33, "x_range": [0.08, 0.8] }
+				]
+			},
+			{
+				"delay": 2,
+				"theme": "deep_space",
+				"groups": [
+					{ "type": "basic", "count": 10, "interval": 0.5, "x_range": [0.08, 0.44] },
+					{ "type": "basic", "count": 10, "interval": 0.5, "delay": 0.25, "x_range": [0.44, 0.8] }
+				]
+			},
+			{
+				"delay": 2,
+				"theme": "nebula",
+				"groups": [
+					{ "type": "drifter", "count": 8, "interval": 0.8, "x_range": [0.2, 0.7] },
+					{ "type": "basic", "count": 12, "interval": 0.5, "delay": 1, "x_range": [0.08, 0.8] }
+				]
+			},
+			{
+				"delay": 2,
+				"theme": "nebula",
+				"groups": [
+					{ "type": "splitter", "count": 6, "interval": 1.2, "x_range": [0.11, 0.78] },
+					{ "type": "kamikaze", "count": 6, "interval": 1.5, "delay": 2, "x_range": [0.08, 0.8] }
+				]
+			},
+			{
+				"delay": 2,
+				"theme": "asteroids",
+				"groups": [
+					{ "type": "turret", "count": 3, "interval": 2.5, "x_range": [0.14, 0.75] },
+					{ "type": "tank", "count": 3, "interval": 3, "delay": 1.5, "x_range": [0.14, 0.75] },
+					{ "type": "basic", "count": 15, "interval": 0.4, "delay": 3, "x_range": [0.08, 0.8] }
+				]
+			},
+			{
+				"delay": 2,
+				"theme": "asteroids",
+				"groups": [
+					{ "type": "basic", "count": 30, "interval": 0.2, "x_range": [0.08, 0.8] },
+					{ "type": "drifter", "count": 6, "interval": 1, "x_range": [0.2, 0.7] }
+				]
+			}
+		]
+	},
+	// the rules used by the score keeper. Kills within combo_window seconds of each other raise
+	// the multiplier by combo_step, after that it drops one step every combo_decay seconds.
+	// Every streak_interval seconds without damage and every fully destroyed wave pay a bonus.
+	scoring: {
+		"combo_window": 2,
+		"combo_decay": 0.5,
+		"combo_step": 0.1,
+		"max_multiplier": 3,
+		"streak_interval": 20,
+		"streak_bonus": 100,
+		"wave_clear_bonus": 100
+	},
+	// the urls of the mod scripts to load, in order, like 'mods/zigzag.js'. See the mod section
+	mods: []
+};
+
+config.update_rate.seconds = 1 / config.update_rate.fps;
+
+/* 
+------------------------------
+------ RENDER SECTION -------- 
+------------------------------
+*/
+
+/**
+ * The images loaded before the title screen and the animations cut from them. Every animation is
+ * a row of equally sized frames starting at x, y on its image, played at fps frames per second.
+ * Bodies are drawn at their own size, so the frames only need the right aspect ratio.
+ */
+const asset_manifest = {
+	images: {
+		ships: 'assets/ships.svg',
+		boss: 'assets/boss.svg',
+		projectiles: 'assets/projectiles.svg'
+	},
+	animations: {
+		player: { image: 'ships', x: 0, y: 0, width: 32, height: 32, frames: 2, fps: 12 },
+		player_hit: { image: 'ships', x: 64, y: 0, width: 32, height: 32, frames: 2, fps: 12 },
+		enemy: { image: 'ships', x: 0, y: 32, width: 32, height: 32, frames: 2, fps: 2 },
+		drifter: { image: 'ships', x: 64, y: 32, width: 32, height: 32, frames: 2, fps: 3 },
+		kamikaze: { image: 'ships', x: 0, y: 64, width: 32, height: 32, frames: 2, fps: 4 },
+		kamikaze_dive: { image: 'ships', x: 64, y: 64, width: 32, height: 32, frames: 2, fps: 12 },
+		tank: { image: 'ships', x: 0, y: 96, width: 32, height: 32, frames: 2, fps: 6 },
+		splitter: { image: 'ships', x: 64, y: 96, width: 32, height: 32, frames: 2, fps: 4 },
+		splitter_piece: { image: 'ships', x: 0, y: 128, width: 32, height: 32, frames: 2, fps: 8 },
+		turret: { image: 'ships', x: 64, y: 128, width: 32, height: 32, frames: 2, fps: 2 },
+		boss: { image: 'boss', x: 0, y: 0, width: 120, height: 72, frames: 2, fps: 10 },
+		player_projectile: { image: 'projectiles', x: 0, y: 0, width: 12, height: 20, frames: 2, fps: 10 },
+		enemy_projectile: { image: 'projectiles', x: 24, y: 0, width: 12, height: 20, frames: 2, fps: 10 }
+	}
+};
+
+/**
+ * Loads the images of the asset manifest and draws animation frames from them. Bodies ask the
+ * renderer to draw their sprite and fall back to drawing shapes when it can not, so the game still
+ * works while loading, when an image is missing or when running headless.
+ * 
+ * @typedef Renderer
+ */
+class Renderer {
+	// when set, hitboxes and velocities are drawn over the bodies
+	debug = false;
+
+	/**
+	 * @param {Object} manifest The images to load and their animations, like asset_manifest.
+	 */
+	constructor(manifest) {
+		this.manifest = manifest;
+		/** @type {Object<String, HTMLImageElement>} The images that finished loading by name */
+		this.images = {};
+		// the number of images that loaded or failed to load
+		this.settled = 0;
+	}
+
+	/**
+	 * @type {Number} The fraction of images that are done loading, between 0 and 1.
+	 */
+	get progress() {
+		const total = Object.keys(this.manifest.images).length;
+		return total == 0 ? 1 : this.settled / total;
+	}
+
+	/**
+	 * @type {Boolean} true once every image loaded or failed to load.
+	 */
+	get ready() {
+		return this.progress >= 1;
+	}
+
+	/**
+	 * Starts loading every image of the manifest. Images that fail to load are left out, the bodies
+	 * using them are drawn as shapes.
+	 * 
+	 * @returns {Promise} Resolves once every image is done loading.
+	 */
+	load() {
+		return Promise.all(Object.entries(this.manifest.images).map(([name, source]) => new Promise(resolve => {
+			const image = new Image();
+			image.onload = () => {
+				this.images[name] = image;
+				this.settled += 1;
+				resolve();
+			};
+			image.onerror = () => {
+				console.warn(`Could not load ${source}, drawing shapes instead`);
+				this.settled += 1;
+				resolve();
+			};
+			image.src = source;
+		})));
+	}
+
+	/**
+	 * Draws the current frame of an animation centered on a position.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {String} name A key of the manifest animations.
+	 * @param {Object} position The center of the sprite.
+	 * @param {Object} size The width and height to draw the sprite at.
+	 * @param {Number} time Seconds the animation has been playing, picks the frame.
+	 * @param {Number} angle Radians to rotate the sprite by around its center.
+	 * @returns {Boolean} false if the animation could not be drawn, so the caller can draw shapes.
+	 */
+	drawSprite(graphics, name, position, size, time = 0, angle = 0) {
+		const animation = this.manifest.animations[name];
+		const image = animation != null ? this.images[animation.image] : null;
+		if (image == null) {
+			return false;
+		}
+
+		const frame = Math.floor(time * animation.fps) % animation.frames;
+
+		graphics.save();
+		graphics.translate(position.x, position.y);
+		graphics.rotate(angle);
+		graphics.drawImage(
+			image,
+			animation.x + frame * animation.width, animation.y, animation.width, animation.height,
+			-size.width / 2, -size.height / 2, size.width, size.height
+		);
+		graphics.restore();
+		return true;
+	}
+}
+
+/**
+ * Draws a sprite with the global renderer, if there is one.
+ * 
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ * @param {String} name A key of the manifest animations.
+ * @param {Body} body The body to draw the sprite for, gives the position and size.
+ * @param {Number} angle Radians to rotate the sprite by around its center.
+ * @returns {Boolean} false if the sprite could not be drawn, so the caller can draw shapes.
+ */
+function drawSprite(graphics, name, body, angle = 0) {
+	return renderer != null && renderer.drawSprite(graphics, name, body.position, body.size, world.time, angle);
+}
+
+/**
+ * A fixed pool of particles for explosions, engine trails and hit sparks. Particles only change how
+ * the game looks, so they use Math.random instead of the world random number generator and never
+ * change the outcome of a run or a replay.
+ * 
+ * @typedef ParticleSystem
+ */
+class ParticleSystem {
+	/**
+	 * @param {Number} size The most particles alive at once. When the pool is full the oldest
+	 * particle is reused.
+	 */
+	constructor(size = 400) {
+		/** @type {Array<Object>} Every particle, alive or not */
+		this.particles = [];
+		for (let i = 0; i < size; i++) {
+			this.particles.push({ life: 0, max_life: 1, x: 0, y: 0, velocity_x: 0, velocity_y: 0, size: 2, color: '#000000' });
+		}
+		// the index of the next particle to hand out
+		this.next = 0;
+	}
+
+	/**
+	 * @type {Number} The number of particles alive.
+	 */
+	get count() {
+		return this.particles.filter(particle => particle.life > 0).length;
+	}
+
+	/**
+	 * Sends particles out from a point in random directions.
+	 * 
+	 * @param {Object} position The point the particles start at.
+	 * @param {Number} count The number of particles.
+	 * @param {Object} options The color, speed range in pixels per second, life range in seconds,
+	 * size in pixels, and the direction and spread in radians to send them in.
+	 */
+	emit(position, count, { color = '#000000', speed = [20, 80], life = [0.3, 0.6], size = 2, angle = 0, spread = 2 * Math.PI } = {}) {
+		for (let i = 0; i < count; i++) {
+			const particle = this.particles[this.next];
+			this.next = (this.next + 1) % this.particles.length;
+
+			const direction = angle + (Math.random() - 0.5) * spread;
+			const particle_speed = speed[0] + Math.random() * (speed[1] - speed[0]);
+			particle.x = position.x;
+			particle.y = position.y;
+			particle.velocity_x = Math.cos(direction) * particle_speed;
+			particle.velocity_y = Math.sin(direction) * particle_speed;
+			particle.max_life = life[0] + Math.random() * (life[1] - life[0]);
+			particle.life = particle.max_life;
+			particle.size = size;
+			particle.color = color;
+		}
+	}
+
+	/**
+	 * A burst of particles for a destroyed body.
+	 * 
+	 * @param {Object} position The center of the explosion.
+	 * @param {String} color The color of the destroyed body.
+	 * @param {Number} scale Larger for larger bodies.
+	 */
+	explosion(position, color, scale = 1) {
+		this.emit(position, Math.round(16 * scale), { color: color, speed: [30, 120 * scale], life: [0.3, 0.8], size: 3 });
+		this.emit(position, Math.round(8 * scale), { color: '#FFA500', speed: [10, 60 * scale], life: [0.2, 0.5] });
+	}
+
+	/**
+	 * A single puff of engine exhaust behind a ship flying up the board.
+	 * 
+	 * @param {Object} position The point the exhaust leaves the ship.
+	 */
+	trail(position) {
+		this.emit(position, 1, { color: '#FFA500', speed: [40, 70], life: [0.1, 0.25], angle: Math.PI / 2, spread: 0.6 });
+	}
+
+	/**
+	 * A few quick sparks where a projectile hit.
+	 * 
+	 * @param {Object} position The point of the hit.
+	 * @param {String} color The color of the projectile.
+	 */
+	sparks(position, color) {
+		this.emit(position, 5, { color: color, speed: [60, 140], life: [0.08, 0.2], size: 1.5 });
+	}
+
+	/**
+	 * Moves the alive particles and ages them.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		for (let particle of this.particles) {
+			if (particle.life <= 0) {
+				continue;
+			}
+			particle.life -= delta_time;
+			particle.x += particle.velocity_x * delta_time;
+			particle.y += particle.velocity_y * delta_time;
+		}
+	}
+
+	/**
+	 * Draws the alive particles, fading them out as they age.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+		for (let particle of this.particles) {
+			if (particle.life <= 0) {
+				continue;
+			}
+			graphics.globalAlpha = particle.life / particle.max_life;
+			graphics.fillStyle = particle.color;
+			graphics.fillRect(particle.x - particle.size / 2, particle.y - particle.size / 2, particle.size, particle.size);
+		}
+		graphics.globalAlpha = 1;
+	}
+}
+
+/**
+ * The looks of the background. Every theme has a base color and layers that scroll down at their
+ * own speed in pixels per second, slower layers seem further away. The waves and the boss fight
+ * pick their theme by name in config.waves.
+ */
+const background_themes = {
+	deep_space: {
+		base: '#05050F',
+		layers: [
+			{ kind: 'stars', speed: 8, count: 140, colors: ['#FFFFFF', '#AFC8FF'], size: [0.5, 1.2] },
+			{ kind: 'nebula', speed: 15, count: 3, colors: ['rgba(60, 80, 200, 0.10)'], size: [70, 130] },
+			{ kind: 'stars', speed: 35, count: 40, colors: ['#FFFFFF'], size: [1, 1.8] },
+			{ kind: 'debris', speed: 90, count: 4, colors: ['#3A3A44'], size: [2, 4] }
+		]
+	},
+	nebula: {
+		base: '#0B0420',
+		layers: [
+			{ kind: 'stars', speed: 8, count: 110, colors: ['#FFFFFF', '#FFC8F0'], size: [0.5, 1.2] },
+			{ kind: 'nebula', speed: 14, count: 6, colors: ['rgba(170, 60, 200, 0.14)', 'rgba(230, 80, 150, 0.10)'], size: [80, 160] },
+			{ kind: 'nebula', speed: 28, count: 4, colors: ['rgba(90, 40, 220, 0.10)'], size: [50, 100] },
+			{ kind: 'stars', speed: 45, count: 30, colors: ['#FFFFFF'], size: [1, 2] }
+		]
+	},
+	asteroids: {
+		base: '#0A0908',
+		layers: [
+			{ kind: 'stars', speed: 8, count: 100, colors: ['#FFFFFF', '#FFE8C0'], size: [0.5, 1.1] },
+			{ kind: 'debris', speed: 25, count: 10, colors: ['#2E2620', '#3B3128'], size: [4, 9] },
+			{ kind: 'stars', speed: 40, count: 25, colors: ['#FFFFFF'], size: [1, 1.8] },
+			{ kind: 'debris', speed: 110, count: 6, colors: ['#5A4A3C', '#6B5B4B'], size: [3, 7] }
+		]
+	},
+	inferno: {
+		base: '#160404',
+		layers: [
+			{ kind: 'stars', speed: 10, count: 120, colors: ['#FFFFFF', '#FFB0A0'], size: [0.5, 1.2] },
+			{ kind: 'nebula', speed: 20, count: 5, colors: ['rgba(220, 50, 30, 0.14)', 'rgba(255, 140, 0, 0.08)'], size: [80, 150] },
+			{ kind: 'stars', speed: 60, count: 35, colors: ['#FFD0A0'], size: [1, 2] },
+			{ kind: 'debris', speed: 140, count: 5, colors: ['#4A1A10'], size: [2, 5] }
+		]
+	}
+};
+
+/**
+ * Paint a single element of a background layer. Every painter gets a random number generator, so
+ * a layer looks the same every time it is painted.
+ */
+const background_painters = {
+	stars(graphics, x, y, size, color, rng) {
+		graphics.fillStyle = color;
+		graphics.fillRect(x, y, size, size);
+	},
+	nebula(graphics, x, y, size, color, rng) {
+		const gradient = graphics.createRadialGradient(x, y, 0, x, y, size);
+		gradient.addColorStop(0, color);
+		gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+		graphics.fillStyle = gradient;
+		graphics.fillRect(x - size, y - size, 2 * size, 2 * size);
+	},
+	debris(graphics, x, y, size, color, rng) {
+		// a lumpy rock with five to eight corners
+		const corners = 5 + Math.floor(rng.range(0, 4));
+		graphics.fillStyle = color;
+		graphics.beginPath();
+		for (let i = 0; i < corners; i++) {
+			const angle = 2 * Math.PI * i / corners;
+			const radius = size * rng.range(0.6, 1);
+			graphics.lineTo(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+		}
+		graphics.closePath();
+		graphics.fill();
+	}
+};
+
+/**
+ * Draws the scrolling background. Every layer of a theme is painted once into an offscreen canvas
+ * the size of the board that wraps around at the top and bottom, and is then only copied twice per
+ * frame at its scroll offset. Switching themes fades the new theme in over the old one.
+ * 
+ * @typedef Background
+ */
+class Background {
+	// seconds a new theme takes to fade in
+	fade_time = 1.5;
+	// the most pixels per canvas unit the layers are painted at, they get big quickly
+	max_scale = 3;
+
+	/**
+	 * @param {Object} themes The themes by name, like background_themes.
+	 * @param {Number} scale The pixels per canvas unit of the offscreen canvases.
+	 */
+	constructor(themes, scale = 1) {
+		this.themes = themes;
+		this.scale = scale;
+		/** @type {Object<String, Array<HTMLCanvasElement>>} The painted layers of every theme used so far */
+		this.cache = {};
+		this.theme = null;
+		// the theme being faded out and the time the fade started, null when not fading
+		this.previous = null;
+		this.fade_start = 0;
+	}
+
+	/**
+	 * Matches the resolution of the layers to the pixels per canvas unit of the screen. The scale is
+	 * rounded up to a whole number, so resizing the window only repaints the layers now and then.
+	 * 
+	 * @param {Number} pixel_ratio The screen pixels per canvas unit.
+	 */
+	fit(pixel_ratio) {
+		const scale = Math.min(Math.max(1, Math.ceil(pixel_ratio)), this.max_scale);
+		if (scale != this.scale) {
+			this.scale = scale;
+			this.cache = {};
+		}
+	}
+
+	/**
+	 * Switches to another theme, fading it in starting at the given time.
+	 * 
+	 * @param {String} name A key of the themes, unknown themes are ignored.
+	 * @param {Number} time The current time in seconds.
+	 */
+	setTheme(name, time) {
+		if (name == this.theme || this.themes[name] == null) {
+			return;
+		}
+
+		this.previous = this.theme;
+		this.theme = name;
+		this.fade_start = time;
+	}
+
+	/**
+	 * Paints the layers of a theme, or returns them from the cache if they were already painted.
+	 * 
+	 * @param {String} name A key of the themes.
+	 * @returns {Array<HTMLCanvasElement>} One canvas per layer.
+	 */
+	layers(name) {
+		if (this.cache[name] != null) {
+			return this.cache[name];
+		}
+
+		const { width, height } = config.canvas_size;
+		// seeded by the theme name so a theme always looks the same
+		const rng = new Random([...name].reduce((hash, character) => (hash * 31 + character.charCodeAt(0)) >>> 0, 7));
+
+		this.cache[name] = this.themes[name].layers.map(layer => {
+			const canvas = document.createElement('canvas');
+			canvas.width = width * this.scale;
+			canvas.height = height * this.scale;
+			const graphics = canvas.getContext('2d');
+			graphics.scale(this.scale, this.scale);
+
+			const painter = background_painters[layer.kind];
+			for (let i = 0; i < layer.count; i++) {
+				const x = rng.range(0, width);
+				const y = rng.range(0, height);
+				const size = rng.range(layer.size[0], layer.size[1]);
+				const color = layer.colors[Math.floor(rng.range(0, layer.colors.length))];
+
+				// paint a copy above and below, so elements crossing the edge wrap around
+				[y - height, y, y + height].forEach(copy_y => painter(graphics, x, copy_y, size, color, rng));
+			}
+			return canvas;
+		});
+		return this.cache[name];
+	}
+
+	/**
+	 * Draws the layers of a theme scrolled to a point in time.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {String} name A key of the themes.
+	 * @param {Number} time The time in seconds, picks the scroll offset of every layer.
+	 */
+	drawTheme(graphics, name, time) {
+		const { width, height } = config.canvas_size;
+		const theme = this.themes[name];
+
+		graphics.fillStyle = theme.base;
+		graphics.fillRect(0, 0, width, height);
+
+		this.layers(name).forEach((canvas, index) => {
+			const offset = (time * theme.layers[index].speed) % height;
+			graphics.drawImage(canvas, 0, offset, width, height);
+			graphics.drawImage(canvas, 0, offset - height, width, height);
+		});
+	}
+
+	/**
+	 * Draws the background, this clears the screen for the next frame.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {Number} time The time in seconds, the layers scroll as it goes up.
+	 */
+	draw(graphics, time) {
+		// a new run starts the time over, which ends any fade
+		const fade = (time - this.fade_start) / this.fade_time;
+		if (this.previous == null || fade >= 1 || fade < 0) {
+			this.previous = null;
+			this.drawTheme(graphics, this.theme, time);
+			return;
+		}
+
+		this.drawTheme(graphics, this.previous, time);
+		graphics.globalAlpha = fade;
+		this.drawTheme(graphics, this.theme, time);
+		graphics.globalAlpha = 1;
+	}
+}
+
+/* 
+------------------------------
+------- AUDIO SECTION -------- 
+------------------------------
+*/
+
+/**
+ * @param {Number} note A midi note number, 69 is the A above middle C.
+ * @returns {Number} The frequency of the note in hertz.
+ */
+function noteFrequency(note) {
+	return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+/**
+ * Basic wave shapes, every one takes the phase in cycles and returns a sample between -1 and 1.
+ */
+const waveforms = {
+	sine: phase => Math.sin(2 * Math.PI * phase),
+	square: phase => phase % 1 < 0.5 ? 1 : -1,
+	triangle: phase => 1 - 4 * Math.abs((phase % 1) - 0.5),
+	saw: phase => 2 * (phase % 1) - 1,
+	noise: phase => Math.random() * 2 - 1
+};
+
+/**
+ * A tone that slides from one frequency to another and fades out, the building block of the sounds.
+ * 
+ * @param {String} waveform A key of waveforms.
+ * @param {Number} from The frequency at the start in hertz.
+ * @param {Number} to The frequency at the end in hertz.
+ * @param {Number} duration The length of the tone in seconds.
+ * @param {Number} volume The loudness at the start, between 0 and 1.
+ * @param {Number} start Seconds of silence before the tone.
+ * @returns {Function} Takes the time in seconds and returns the sample at that time.
+ */
+function sweep(waveform, from, to, duration, volume, start = 0) {
+	return time => {
+		const t = time - start;
+		if (t < 0 || t >= duration) {
+			return 0;
+		}
+		// the phase is the integral of the frequency, which changes linearly
+		const phase = from * t + (to - from) * t * t / (2 * duration);
+		return waveforms[waveform](phase) * volume * Math.pow(1 - t / duration, 2);
+	};
+}
+
+/**
+ * @param {...Function} parts Functions that take the time in seconds and return a sample.
+ * @returns {Function} The sum of the parts.
+ */
+function mix(...parts) {
+	return time => parts.reduce((sample, part) => sample + part(time), 0);
+}
+
+/**
+ * The sound effects, synthesized the first time they are played. Every effect has a length in
+ * seconds, a function that gives the sample at a time and the most copies that play at once.
+ */
+const sound_effects = {
+	fire: { duration: 0.1, voices: 4, sample: sweep('square', 900, 300, 0.1, 0.15) },
+	enemy_death: {
+		duration: 0.4,
+		voices: 6,
+		sample: mix(sweep('noise', 0, 0, 0.4, 0.4), sweep('sine', 220, 40, 0.3, 0.5))
+	},
+	player_hit: {
+		duration: 0.3,
+		voices: 2,
+		sample: mix(sweep('saw', 260, 110, 0.3, 0.35), sweep('saw', 265, 105, 0.3, 0.35))
+	},
+	bomb: {
+		duration: 1,
+		voices: 1,
+		sample: mix(sweep('noise', 0, 0, 1, 0.45), sweep('sine', 90, 30, 1, 0.5))
+	},
+	game_over: {
+		duration: 1.6,
+		voices: 1,
+		// four falling notes
+		sample: mix(...[69, 65, 62, 55].map((note, index) => {
+			const frequency = noteFrequency(note);
+			return sweep('triangle', frequency, frequency, 0.45, 0.5, index * 0.4);
+		}))
+	},
+	achievement: {
+		duration: 0.8,
+		voices: 1,
+		// three rising notes
+		sample: mix(...[72, 76, 79].map((note, index) => {
+			const frequency = noteFrequency(note);
+			return sweep('square', frequency, frequency, 0.4, 0.2, index * 0.12);
+		}))
+	}
+};
+
+/**
+ * The music, synthesized the first time it is played and looped. Every track is a number of eighth
+ * notes at a tempo in beats per minute, with a bass line and a lead line of midi notes that repeat
+ * to fill the track. A null note is a rest.
+ */
+const music_tracks = {
+	title: {
+		tempo: 84,
+		steps: 32,
+		bass: [45, null, null, null, 41, null, null, null, 43, null, null, null, 40, null, null, null],
+		lead: [69, 72, 76, 72, 69, 72, 76, 79, 67, 71, 74, 71, 64, 67, 71, 67]
+	},
+	gameplay: {
+		tempo: 140,
+		steps: 32,
+		bass: [40, 40, 52, 40, 40, 52, 40, 52, 43, 43, 55, 43, 38, 38, 50, 38],
+		lead: [64, null, 67, 69, null, 67, 64, null, 62, null, 64, 67, null, 64, 62, 59,
+			64, null, 67, 69, null, 71, 72, null, 71, 69, 67, null, 64, null, null, null]
+	},
+	boss: {
+		tempo: 160,
+		steps: 32,
+		bass: [38, 38, 50, 38, 39, 39, 51, 39],
+		lead: [74, 73, 74, null, 77, 76, 74, null, 74, 73, 74, null, 70, 69, 70, null]
+	}
+};
+
+/**
+ * @param {Object} track A value of music_tracks.
+ * @returns {Object} The length of the track in seconds and a function that gives its sample at a
+ * time.
+ */
+function renderTrack(track) {
+	const step = 60 / track.tempo / 2;
+	// the notes started on every step
+	const steps = [];
+
+	for (let i = 0; i < track.steps; i++) {
+		const bass = track.bass[i % track.bass.length];
+		const lead = track.lead[i % track.lead.length];
+		const notes = [];
+
+		if (bass != null) {
+			const frequency = noteFrequency(bass);
+			notes.push(sweep('triangle', frequency, frequency, step * 1.8, 0.35, i * step));
+		}
+		if (lead != null) {
+			const frequency = noteFrequency(lead);
+			notes.push(sweep('square', frequency, frequency, step * 0.9, 0.08, i * step));
+		}
+		steps.push(mix(...notes));
+	}
+
+	return {
+		duration: track.steps * step,
+		// no note lasts longer than two steps, so only the notes of this and the last step can sound
+		sample: time => {
+			const index = Math.floor(time / step);
+			return (index < steps.length ? steps[index](time) : 0) + (index > 0 ? steps[index - 1](time) : 0);
+		}
+	};
+}
+
+/**
+ * Plays the sound effects and the music through the Web Audio API. Every sound is synthesized into
+ * a buffer the first time it is needed, so there are no audio files to load. Every effect can play
+ * a few copies at once, starting another copy stops the oldest one. The music loops and fades over
+ * to the next track when it changes.
+ * 
+ * The master, effect and music volumes and muting are saved to local storage.
+ * 
+ * @typedef AudioEngine
+ */
+class AudioEngine {
+	// seconds the music takes to fade from one track to the next
+	crossfade_time = 1.5;
+	storage_key = 'space_shooter.audio';
+	default_settings = { master: 0.8, sfx: 0.8, music: 0.5, muted: false };
+
+	constructor() {
+		this.loadSettings();
+
+		const AudioContext = window.AudioContext || window.webkitAudioContext;
+		this.context = new AudioContext();
+
+		// every effect and music track goes through its own gain and the master gain
+		this.master_gain = this.context.createGain();
+		this.master_gain.connect(this.context.destination);
+		this.sfx_gain = this.context.createGain();
+		this.sfx_gain.connect(this.master_gain);
+		this.music_gain = this.context.createGain();
+		this.music_gain.connect(this.master_gain);
+		this.applySettings();
+
+		/** @type {Object<String, AudioBuffer>} Every synthesized sound by name */
+		this.buffers = {};
+		/** @type {Object<String, Array<AudioBufferSourceNode>>} The playing copies of every effect, oldest first */
+		this.voices = {};
+		/** @type {Object} The name, source and gain of the music track playing, null when silent */
+		this.music = null;
+	}
+
+	/**
+	 * Reads the saved settings, falling back to the defaults for every setting that was not saved.
+	 */
+	loadSettings() {
+		let saved = {};
+		try {
+			saved = JSON.parse(localStorage.getItem(this.storage_key)) || {};
+		} catch (error) {
+			console.warn(`Dropping saved audio settings: ${error.message}`);
+		}
+
+		/** @type {Object} The master, sfx and music volumes between 0 and 1, and muted */
+		this.settings = Object.assign({}, this.default_settings);
+		for (let name of Object.keys(this.default_settings)) {
+			if (typeof saved[name] == typeof this.default_settings[name]) {
+				this.settings[name] = saved[name];
+			}
+		}
+	}
+
+	/**
+	 * Changes a setting, applies it and saves the settings.
+	 * 
+	 * @param {String} name master, sfx, music or muted.
+	 * @param {Number|Boolean} value A volume between 0 and 1, or true to mute.
+	 */
+	set(name, value) {
+		this.settings[name] = value;
+		this.applySettings();
+		localStorage.setItem(this.storage_key, JSON.stringify(this.settings));
+	}
+
+	/**
+	 * Sets the gains to the settings.
+	 */
+	applySettings() {
+		this.master_gain.gain.value = this.settings.muted ? 0 : this.settings.master;
+		this.sfx_gain.gain.value = this.settings.sfx;
+		this.music_gain.gain.value = this.settings.music;
+	}
+
+	/**
+	 * Browsers keep audio suspended until the page is interacted with, so this is called on every
+	 * key press and touch.
+	 */
+	resume() {
+		if (this.context.state == 'suspended') {
+			this.context.resume();
+		}
+	}
+
+	/**
+	 * Synthesizes a sound into a buffer, or returns it from the cache if it was already made.
+	 * 
+	 * @param {String} name The name to cache the buffer by.
+	 * @param {Object} sound The duration of the sound and a function giving its sample at a time.
+	 * @returns {AudioBuffer} The synthesized sound.
+	 */
+	buffer(name, sound) {
+		if (this.buffers[name] == null) {
+			const rate = this.context.sampleRate;
+			const buffer = this.context.createBuffer(1, Math.ceil(sound.duration * rate), rate);
+			const samples = buffer.getChannelData(0);
+			for (let i = 0; i < samples.length; i++) {
+				samples[i] = Math.min(Math.max(-1, sound.sample(i / rate)), 1);
+			}
+			this.buffers[name] = buffer;
+		}
+		return this.buffers[name];
+	}
+
+	/**
+	 * Synthesizes every sound effect and music track up front, so none of them stall the game the
+	 * first time they are played.
+	 */
+	prepare() {
+		for (let [name, effect] of Object.entries(sound_effects)) {
+			this.buffer(name, effect);
+		}
+		for (let [name, track] of Object.entries(music_tracks)) {
+			this.buffer(`music_${name}`, renderTrack(track));
+		}
+	}
+
+	/**
+	 * Plays a sound effect, stopping the oldest copy of it if too many are playing.
+	 * 
+	 * @param {String} name A key of sound_effects.
+	 */
+	play(name) {
+		const effect = sound_effects[name];
+		const voices = this.voices[name] = this.voices[name] || [];
+
+		if (voices.length >= effect.voices) {
+			voices.shift().stop();
+		}
+
+		const source = this.context.createBufferSource();
+		source.buffer = this.buffer(name, effect);
+		source.connect(this.sfx_gain);
+		source.onended = () => {
+			const index = voices.indexOf(source);
+			if (index >= 0) {
+				voices.splice(index, 1);
+			}
+		};
+		source.start();
+		voices.push(source);
+	}
+
+	/**
+	 * Fades the playing music out and the given track in. Does nothing if the track is already
+	 * playing.
+	 * 
+	 * @param {String} name A key of music_tracks, or null to fade out to silence.
+	 */
+	playMusic(name) {
+		if ((this.music != null ? this.music.name : null) == name) {
+			return;
+		}
+
+		const now = this.context.currentTime;
+
+		if (this.music != null) {
+			const { source, gain } = this.music;
+			gain.gain.setValueAtTime(gain.gain.value, now);
+			gain.gain.linearRampToValueAtTime(0, now + this.crossfade_time);
+			source.stop(now + this.crossfade_time);
+			this.music = null;
+		}
+
+		if (name == null) {
+			return;
+		}
+
+		const gain = this.context.createGain();
+		gain.connect(this.music_gain);
+		gain.gain.setValueAtTime(0, now);
+		gain.gain.linearRampToValueAtTime(1, now + this.crossfade_time);
+
+		const source = this.context.createBufferSource();
+		source.buffer = this.buffer(`music_${name}`, renderTrack(music_tracks[name]));
+		source.loop = true;
+		source.connect(gain);
+		source.start(now);
+
+		this.music = { name: name, source: source, gain: gain };
+	}
+}
+
+/**
+ * Plays a sound effect with the global audio engine, if there is one.
+ * 
+ * @param {String} name A key of sound_effects.
+ */
+function playSound(name) {
+	if (audio != null) {
+		audio.play(name);
+	}
+}
+
+/* 
+------------------------------
+------- ENTITY SECTION ------- 
+------------------------------
+*/
+
+/**
+ * Keeps every body of a world by id. Bodies register themselves when they are made and are only
+ * really added or removed when the manager is flushed, which the world does between the steps of
+ * an update. That way nothing changes while the bodies are being iterated.
+ * 
+ * Removed bodies of classes with a static pooled flag are kept and handed out again by create, so
+ * the projectiles and enemies of a long run do not keep the garbage collector busy. Pooled classes
+ * set all of their state in spawn instead of the constructor.
+ * 
+ * @typedef EntityManager
+ */
+class EntityManager {
+	// the most removed bodies kept per class
+	pool_size = 256;
+
+	constructor() {
+		/** @type {Map<Number, Body>} Every body by id, in the order they were added */
+		this.entities = new Map();
+		// the next id to hand out, ids are never reused within a run
+		this.next_id = 0;
+		/** @type {Array<Body>} Bodies to add at the next flush */
+		this.pending_adds = [];
+		/** @type {Array<Body>} Bodies to remove at the next flush */
+		this.pending_removals = [];
+		/** @type {Map<Function, Array<Body>>} Removed bodies ready to be reused, by class */
+		this.pools = new Map();
+	}
+
+	/**
+	 * @type {Number} The number of bodies, not counting the ones waiting to be added.
+	 */
+	get size() {
+		return this.entities.size;
+	}
+
+	/**
+	 * Gives a body its id and adds it at the next flush. Called by the Body constructor.
+	 * 
+	 * @param {Body} entity The body to add.
+	 */
+	add(entity) {
+		entity.id = this.next_id++;
+		entity.removed = false;
+		this.pending_adds.push(entity);
+	}
+
+	/**
+	 * Makes a body, reusing a removed one of the same class if there is one, and spawns it.
+	 * 
+	 * @param {Function} type The class of the body.
+	 * @param {...any} args Passed on to the spawn method of the body.
+	 * @returns {Body} The spawned body.
+	 */
+	create(type, ...args) {
+		const pool = this.pools.get(type);
+		let entity;
+
+		if (pool != null && pool.length > 0) {
+			entity = pool.pop();
+			this.add(entity);
+		} else {
+			entity = new type();
+		}
+
+		entity.spawn(...args);
+		return entity;
+	}
+
+	/**
+	 * Marks a body as removed, it is taken out at the next flush.
+	 * 
+	 * @param {Body} entity The body to remove.
+	 */
+	remove(entity) {
+		if (entity.removed) {
+			return;
+		}
+		entity.removed = true;
+		this.pending_removals.push(entity);
+	}
+
+	/**
+	 * Adds and removes the bodies that are waiting to be, and pools the removed ones that can be
+	 * reused. Emits bodySpawned for every added body.
+	 */
+	flush() {
+		// bodies added by the listeners of bodySpawned wait for the next flush
+		const added = this.pending_adds;
+		this.pending_adds = [];
+		added.forEach(entity => this.entities.set(entity.id, entity));
+		added.forEach(entity => game_events.emit('bodySpawned', { body: entity }));
+
+		this.pending_removals.forEach(entity => {
+			this.entities.delete(entity.id);
+
+			if (entity.constructor.pooled) {
+				if (!this.pools.has(entity.constructor)) {
+					this.pools.set(entity.constructor, []);
+				}
+				const pool = this.pools.get(entity.constructor);
+				if (pool.length < this.pool_size) {
+					pool.push(entity);
+				}
+			}
+		});
+		this.pending_removals = [];
+	}
+
+	/**
+	 * Puts a restored body back in right away, under the id it had. Used by World.fromSnapshot.
+	 * 
+	 * @param {Body} entity The restored body.
+	 */
+	restore(entity) {
+		entity.removed = false;
+		this.entities.set(entity.id, entity);
+		this.next_id = Math.max(this.next_id, entity.id + 1);
+	}
+
+	/**
+	 * @param {Number} id The id of a body.
+	 * @returns {Body} The body with the id, or undefined if there is none.
+	 */
+	get(id) {
+		return this.entities.get(id);
+	}
+
+	/**
+	 * Lists the bodies of a class, including the ones removed since the last flush, so check their
+	 * removed flag. The list is a copy, so it is safe to add and remove bodies while going over it.
+	 * 
+	 * @param {Function} type The class to list, subclasses included.
+	 * @returns {Array<Body>} The bodies in the order they were added.
+	 */
+	all(type = Body) {
+		const entities = [];
+		for (let entity of this.entities.values()) {
+			if (entity instanceof type) {
+				entities.push(entity);
+			}
+		}
+		return entities;
+	}
+
+	/**
+	 * @param {Function} type The class to count, subclasses included.
+	 * @returns {Number} The number of bodies of the class that are not removed.
+	 */
+	count(type = Body) {
+		return this.all(type).filter(entity => !entity.removed).length;
+	}
+}
+
+/* 
+------------------------------
+------- WORLD SECTION -------- 
+------------------------------
+*/
+
+/** @type {World} The world that is being updated, every new body registers itself here */
+var world = null;
+
+/** @type {Number} The version of the snapshot format, snapshots of any other version are rejected */
+const SNAPSHOT_VERSION = 2;
+
+/**
+ * @param {String} name The class name of a body, as stored in a snapshot.
+ * @returns {Function} The body class with that name, or undefined if there is none.
+ */
+function bodyClass(name) {
+	const types = [Player, Projectile, PowerUp, ...Object.values(enemy_types), ...Object.values(Game.entity_types)];
+	return types.find(type => type.name == name);
+}
+
+/**
+ * Owns the whole state of a game: the entities, the counters and the random number generator. It
+ * never touches the DOM, so it can be stepped by the browser loop as well as headless under Node.
+ * Given the same config, seed and controller input on every update it always plays out the same.
+ * 
+ * @typedef World
+ */
+class World {
+	/** @type {Number} A counter representing the number of update calls */
+	loop_count = 0;
+
+	/** @type {Number} The highest score reached in any run of this world */
+	high_score = 0;
+
+	/**
+	 * Creates a new world and starts the first run.
+	 * 
+	 * @param {Object} config The game config, see the config section.
+	 * @param {Number} seed The seed of the first run.
+	 * @param {Number} player_count 1 for a normal run, 2 for local co-op.
+	 * @throws {Error} If the waves use an enemy type that is not registered, see EnemySpawner.
+	 */
+	constructor(config, seed = Date.now(), player_count = 1) {
+		this.config = config;
+		this.player_count = player_count;
+		this.start(seed);
+	}
+
+	/**
+	 * Resets all of the stats and entities and starts a new run.
+	 * 
+	 * @param {Number} seed The seed of the new run, defaults to one drawn from the current run.
+	 */
+	start(seed = this.rng.int()) {
+		world = this;
+
+		/** @type {Number} The seed this run was started with */
+		this.seed = seed >>> 0;
+		/** @type {Random} The source of all randomness in this run */
+		this.rng = new Random(this.seed);
+
+		/** @type {Number} A counter that is used to count the number of enemies destroyed by the player */
+		this.enemies_hit = 0;
+		/** @type {Number} A counter that is used to count the number of spawned enemies */
+		this.enemy_count = 0;
+		/** @type {Number} The number of projectiles fired by the player */
+		this.shots_fired = 0;
+		/** @type {Number} The number of player projectiles that hit something */
+		this.shots_hit = 0;
+		/** @type {Number} Seconds since the run started, is not affected by player death */
+		this.time = 0;
+		/** @type {Number} Seconds any of the players has been alive */
+		this.time_alive = 0;
+		/** @type {Number} The score of the current run */
+		this.score = 0;
+		/** @type {String} new until the first update, then running until the run is over and ended */
+		this.run_state = 'new';
+
+		/** @type {EntityManager} Every body of the run */
+		this.entities = new EntityManager();
+
+		/** @type {Array<Player>} Every player of the run */
+		this.players = [];
+		for (let index = 0; index < this.player_count; index++) {
+			this.players.push(new Player(index));
+		}
+		/** @type {ScoreKeeper} Scores the kills and bonuses of the run */
+		this.score_keeper = new ScoreKeeper(this.config.scoring);
+		/** @type {EnemySpawner} Spawns the enemies of each wave */
+		this.enemy_spawner = new EnemySpawner(this.config.waves);
+		/** @type {CollisionHandler} Detects and reports collisions between bodies */
+		this.collision_handler = new CollisionHandler();
+		/** @type {ParticleSystem} Explosions, engine trails and hit sparks */
+		this.particles = new ParticleSystem();
+
+		this.entities.flush();
+	}
+
+	/**
+	 * This function updates the state of the world given a delta time. The player controller must
+	 * already hold the input for this update. The first update of a run emits runStarted, every
+	 * update emits tick and the one the last player dies in emits runEnded.
+	 * 
+	 * @param {Number} delta_time Time since last update in seconds.
+	 */
+	update(delta_time) {
+		world = this;
+		if (this.run_state == 'new') {
+			this.run_state = 'running';
+			game_events.emit('runStarted', { world: this });
+		}
+		this.time += delta_time;
+
+		// move entities
+		this.entities.all().forEach(entity => {
+			entity.update(delta_time);
+		});
+		this.entities.flush();
+
+		// detect and handle collision events
+		this.collision_handler.update(delta_time);
+		this.entities.flush();
+
+		this.particles.update(delta_time);
+
+		// spawn enemies
+		this.enemy_spawner.update(delta_time);
+		this.entities.flush();
+
+		this.score_keeper.update(delta_time);
+
+		// update the stats
+		if (!this.isOver()) {
+			this.time_alive += delta_time;
+		}
+		this.score = Math.floor(this.score_keeper.points + this.time_alive);
+		this.high_score = Math.max(this.high_score, this.score);
+
+		this.loop_count++;
+
+		game_events.emit('tick', { world: this, delta_time: delta_time });
+		if (this.run_state == 'running' && this.isOver()) {
+			this.run_state = 'ended';
+			game_events.emit('runEnded', { world: this });
+		}
+	}
+
+	/**
+	 * @type {Player} The first player, the only one outside of co-op.
+	 */
+	get player() {
+		return this.players[0];
+	}
+
+	/**
+	 * @returns {Boolean} true once every player is dead, which ends the run.
+	 */
+	isOver() {
+		return this.players.every(player => player.isDead());
+	}
+
+	/**
+	 * Picks the player an enemy goes after.
+	 * 
+	 * @param {Object} position The position of the enemy.
+	 * @returns {Player} The living player closest to the position, the first player if every
+	 * player is dead.
+	 */
+	nearestPlayer(position) {
+		let nearest = null;
+		let nearest_distance = Infinity;
+		for (let player of this.players) {
+			const distance = Math.hypot(player.position.x - position.x, player.position.y - position.y);
+			if (!player.isDead() && distance < nearest_distance) {
+				nearest = player;
+				nearest_distance = distance;
+			}
+		}
+		return nearest || this.players[0];
+	}
+
+	/**
+	 * Stores the state of the current run, so it can be picked up again later with fromSnapshot.
+	 * Must be called between updates. The particles are left out, they are only for show.
+	 * 
+	 * @returns {Object} The snapshot, plain data that can be turned into JSON.
+	 */
+	toSnapshot() {
+		const snapshot = {
+			version: SNAPSHOT_VERSION,
+			config: this.config,
+			seed: this.seed,
+			player_count: this.player_count,
+			rng_state: this.rng.state,
+			loop_count: this.loop_count,
+			high_score: this.high_score,
+			enemies_hit: this.enemies_hit,
+			enemy_count: this.enemy_count,
+			shots_fired: this.shots_fired,
+			shots_hit: this.shots_hit,
+			time: this.time,
+			time_alive: this.time_alive,
+			score: this.score,
+			run_state: this.run_state,
+			next_id: this.entities.next_id,
+			entities: this.entities.all().filter(entity => !entity.removed).map(entity => entity.toSnapshot()),
+			players: this.players.map(player => player.id),
+			enemy_spawner: this.enemy_spawner.toSnapshot(),
+			score_keeper: this.score_keeper.toSnapshot()
+		};
+		// copy everything, so the snapshot is not affected by later updates
+		return JSON.parse(JSON.stringify(snapshot));
+	}
+
+	/**
+	 * Makes a world that carries on with the run stored in a snapshot. The restored run plays out
+	 * the same as the stored one would have. The world is put together without starting a run, so
+	 * no bodies are spawned and no events are emitted on the way.
+	 * 
+	 * @param {Object} snapshot A snapshot made by toSnapshot, it is not changed.
+	 * @returns {World} The restored world, it is also made the current world.
+	 * @throws {Error} If the snapshot is of another version or has bodies of unknown classes.
+	 */
+	static fromSnapshot(snapshot) {
+		if (snapshot.version !== SNAPSHOT_VERSION) {
+			throw new Error(`Unsupported snapshot version ${snapshot.version}, expected ${SNAPSHOT_VERSION}`);
+		}
+		// the restored bodies take over the objects of the snapshot
+		snapshot = JSON.parse(JSON.stringify(snapshot));
+
+		// the same fields as the constructor and start set up
+		const restored = Object.create(World.prototype);
+		world = restored;
+		restored.config = snapshot.config;
+		restored.player_count = snapshot.player_count;
+		restored.seed = snapshot.seed;
+		restored.rng = new Random(snapshot.seed);
+		restored.rng.state = snapshot.rng_state;
+		for (let counter of ['loop_count', 'high_score', 'enemies_hit', 'enemy_count', 'shots_fired', 'shots_hit', 'time', 'time_alive', 'score', 'run_state']) {
+			restored[counter] = snapshot[counter];
+		}
+		restored.collision_handler = new CollisionHandler();
+		restored.particles = new ParticleSystem();
+
+		restored.entities = new EntityManager();
+		for (let data of snapshot.entities) {
+			const type = bodyClass(data.type);
+			if (type == null) {
+				throw new Error(`Unknown body type ${data.type}`);
+			}
+			restored.entities.restore(type.fromSnapshot(data));
+		}
+		restored.entities.next_id = snapshot.next_id;
+		restored.entities.all().forEach(entity => entity.link(restored.entities));
+
+		restored.players = snapshot.players.map(id => restored.entities.get(id));
+		restored.enemy_spawner = EnemySpawner.fromSnapshot(snapshot.config.waves, snapshot.enemy_spawner, restored.entities);
+		restored.score_keeper = new ScoreKeeper(snapshot.config.scoring);
+		restored.score_keeper.restore(snapshot.score_keeper, restored.players);
+		return restored;
+	}
+}
+
+/* 
+------------------------------
+------ REPLAY SECTION -------- 
+------------------------------
+*/
+
+/** @type {Number} The version of the replay format, replays of any other version are rejected */
+const REPLAY_VERSION = 8;
+
+/** @type {Array<String>} The controller buttons, in the order of their bits in a replay code */
+const replay_buttons = ['action_1', 'bomb'];
+
+/**
+ * Packs a controller state into a short code like '-100:50:1'. The axes are stored in hundredths,
+ * which is how precise the input handler rounds them, and the buttons as bits of a number.
+ * 
+ * @param {Object} controller A player controller.
+ * @returns {String} The code for this controller state.
+ */
+function encodeController(controller) {
+	const buttons = replay_buttons.reduce((bits, button, index) => bits | (controller[button] ? 1 << index : 0), 0);
+	return `${Math.round(controller.move_x * 100)}:${Math.round(controller.move_y * 100)}:${buttons}`;
+}
+
+/**
+ * Unpacks a code made by encodeController into the given controller.
+ * 
+ * @param {String} code The code to unpack.
+ * @param {Object} controller The player controller to write into.
+ */
+function decodeController(code, controller) {
+	const [x, y, buttons] = code.split(':').map(Number);
+	controller.move_x = x / 100;
+	controller.move_y = y / 100;
+	replay_buttons.forEach((button, index) => controller[button] = (buttons & 1 << index) != 0);
+}
+
+/**
+ * @param {World} world A world.
+ * @returns {Object} The result of the world's current run, as stored in replay files.
+ */
+function runResult(world) {
+	return {
+		score: world.score,
+		enemies_hit: world.enemies_hit,
+		time_alive: world.time_alive,
+		health: world.player.health
+	};
+}
+
+/**
+ * Records the controller state of every update of a single run. Together with the seed and config
+ * of the run this is all that is needed to play the run again, since the world is deterministic.
+ * The stream is run-length encoded, so a replay file stays small even for long runs. In co-op the
+ * codes of both controllers are joined by a comma.
+ * 
+ * @typedef Recorder
+ */
+class Recorder {
+	/**
+	 * Starts recording the current run of a world. Must be created before the first update.
+	 * 
+	 * @param {World} world The world to record.
+	 */
+	constructor(world) {
+		this.world = world;
+		this.seed = world.seed;
+		this.player_count = world.player_count;
+		// copy the config, so the replay is not affected by later changes
+		this.config = JSON.parse(JSON.stringify(world.config));
+		this.ticks = 0;
+		// pairs of [repeat count, controller code]
+		this.runs = [];
+	}
+
+	/**
+	 * Adds the controller state of the next update to the recording.
+	 * 
+	 * @param {...Object} controllers The controller of every player, after they were polled.
+	 */
+	record(...controllers) {
+		const code = controllers.map(encodeController).join(',');
+		const last = this.runs[this.runs.length - 1];
+
+		if (last != null && last[1] == code) {
+			last[0] += 1;
+		} else {
+			this.runs.push([1, code]);
+		}
+		this.ticks += 1;
+	}
+
+	/**
+	 * @returns {Object} The replay file contents. The result of the run so far is included so that
+	 * a replay can be checked against the score it claims.
+	 */
+	toJSON() {
+		return {
+			version: REPLAY_VERSION,
+			seed: this.seed,
+			players: this.player_count,
+			config: this.config,
+			ticks: this.ticks,
+			input: this.runs.map(([count, code]) => `${count}*${code}`).join(' '),
+			result: runResult(this.world)
+		};
+	}
+}
+
+/**
+ * Feeds a recorded controller stream into the players, in place of the keyboard.
+ * 
+ * @typedef ReplayInput
+ */
+class ReplayInput {
+	/** @type {Array<Player>} The players to feed, in the order they were recorded in */
+	players = [];
+
+	/**
+	 * @param {Object} replay The replay file contents, as made by Recorder.toJSON.
+	 * @throws {Error} If the replay is of another version or was played with other mods.
+	 */
+	constructor(replay) {
+		if (replay.version !== REPLAY_VERSION) {
+			throw new Error(`Unsupported replay version ${replay.version}, expected ${REPLAY_VERSION}`);
+		}
+		Game.checkMods(replay.config.mods);
+
+		this.replay = replay;
+		this.tick = 0;
+		// expand the run-length encoding into one code per update
+		this.codes = [];
+		for (let run of replay.input.split(' ').filter(run => run != '')) {
+			const [count, code] = run.split('*');
+			for (let i = 0; i < Number(count); i++) {
+				this.codes.push(code);
+			}
+		}
+	}
+
+	/**
+	 * Creates a new world that plays the same run as the recorded one.
+	 * 
+	 * @returns {World} The world to feed this input into.
+	 */
+	createWorld() {
+		return new World(this.replay.config, this.replay.seed, this.replay.players);
+	}
+
+	/**
+	 * @type {Boolean} true once every recorded update has been played.
+	 */
+	get finished() {
+		return this.tick >= this.codes.length;
+	}
+
+	/**
+	 * Writes the controller state of the next recorded update into the players. Once the replay is
+	 * finished the controllers are left idle.
+	 */
+	pollController() {
+		const codes = this.finished ? [] : this.codes[this.tick].split(',');
+		this.players.forEach((player, index) => {
+			decodeController(codes[index] || encodeController({ move_x: 0, move_y: 0 }), player.controller);
+		});
+		this.tick += 1;
+	}
+}
+
+/* 
+------------------------------
+------ NETWORK SECTION ------- 
+------------------------------
+*/
+
+/**
+ * Hashes the state of a run, so two clients playing the same run can check they still agree. It
+ * covers the random generator, the score and the position and health of every body. Numbers are
+ * hashed exactly, the smallest difference shows.
+ * 
+ * @param {World} world A world.
+ * @returns {Number} A 32 bit FNV-1a hash of the state.
+ */
+function stateHash(world) {
+	let text = `${world.rng.state}|${world.score}`;
+	for (let entity of world.entities.all()) {
+		text += `|${entity.constructor.name}:${entity.id}:${entity.position.x}:${entity.position.y}:${entity.health}`;
+	}
+
+	let hash = 0x811C9DC5;
+	for (let i = 0; i < text.length; i++) {
+		hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+	}
+	return hash;
+}
+
+/**
+ * Plays a co-op run with a client on another machine, through the relay in server.js. Both clients
+ * run the same deterministic world in lockstep: every update only happens once the controller
+ * states of both players for it are known. Each client sends its own controller input_delay
+ * updates ahead, which hides the latency as long as it is shorter than the delay.
+ * 
+ * After every update the clients swap a hash of their state, a mismatch means the runs drifted
+ * apart and the session stops. A player that leaves is left idle for the rest of the run.
+ * 
+ * Works with the WebSocket of the browser and the one of node, which headless.js uses.
+ * 
+ * @typedef NetSession
+ */
+class NetSession {
+	// updates between sampling a controller and using it
+	input_delay = 4;
+	// updates between state hashes, every update pins a desync down to the update it happened in
+	hash_interval = 1;
+	// seconds between latency measurements
+	ping_interval = 1;
+
+	/**
+	 * Connects to a relay server and joins a room. The run starts once the room is full.
+	 * 
+	 * @param {WebSocket} socket A new WebSocket to the relay server.
+	 * @param {String} room The name of the room to join.
+	 * @param {Object} config The game config, the config of the first player in the room is used.
+	 */
+	constructor(socket, room, config) {
+		this.socket = socket;
+		this.room = room;
+		/** @type {String} connecting, waiting for the other player, playing, or closed */
+		this.status = 'connecting';
+		/** @type {String} Why the session was closed, null while it is open */
+		this.error = null;
+		/** @type {Number} The player this client controls, known once the room was joined */
+		this.slot = null;
+		// set by the start message
+		this.seed = null;
+		this.player_count = 0;
+		this.config = null;
+
+		/** @type {Number} The next update to play */
+		this.tick = 0;
+		// the last update the own controller was sent for
+		this.sent_tick = this.input_delay - 1;
+		/** @type {Map<Number, Array<String>>} The controller codes of every player by update */
+		this.inputs = new Map();
+		/** @type {Set<Number>} The slots of the players that left */
+		this.left = new Set();
+		// the hashes of this client and the other one by update, until they are compared
+		this.hashes = new Map();
+		this.remote_hashes = new Map();
+		/** @type {Number} The first update the hashes did not match at, null while in sync */
+		this.desync_tick = null;
+		/** @type {Number} The round trip time to the server in milliseconds, null until measured */
+		this.latency = null;
+		this.ping_timer = null;
+
+		socket.addEventListener('open', () => {
+			this.status = 'waiting';
+			this.send({ type: 'join', room: room, config: config });
+			this.ping_timer = setInterval(() => this.send({ type: 'ping', time: Date.now() }), this.ping_interval * 1000);
+		});
+		socket.addEventListener('message', event => {
+			// a broken message ends the session with a reason instead of leaving it hanging
+			try {
+				this.receive(JSON.parse(event.data));
+			} catch (error) {
+				this.close(`bad message from the server: ${error.message}`);
+			}
+		});
+		socket.addEventListener('close', () => this.close(this.error || 'disconnected'));
+		socket.addEventListener('error', () => this.close('could not reach the server'));
+	}
+
+	/**
+	 * @param {Object} message The message to send to the server as JSON.
+	 */
+	send(message) {
+		if (this.socket.readyState == 1) {
+			this.socket.send(JSON.stringify(message));
+		}
+	}
+
+	/**
+	 * Checks a config that came from the other player, like local settings are checked.
+	 * 
+	 * @param {Object} config The config the first player in the room joined with.
+	 * @returns {Object} The config, with its settings checked and filled in.
+	 * @throws {Error} If something the world needs is missing or invalid, or the mods differ.
+	 */
+	static checkConfig(config) {
+		if (config === null || typeof config !== 'object') {
+			throw new Error('there is no config');
+		}
+		const { canvas_size, update_rate, scoring } = config;
+		if (canvas_size == null || !(canvas_size.width > 0) || !(canvas_size.height > 0)) {
+			throw new Error('the canvas size is invalid');
+		}
+		if (update_rate == null || !(update_rate.seconds > 0)) {
+			throw new Error('the update rate is invalid');
+		}
+		if (scoring === null || typeof scoring !== 'object') {
+			throw new Error('the scoring rules are missing');
+		}
+		Game.checkMods(config.mods);
+		EnemySpawner.checkDefinition(config.waves);
+		return Object.assign({}, config, { settings: validateSettings(config.settings) });
+	}
+
+	/**
+	 * Handles a message from the server.
+	 * 
+	 * @param {Object} message The parsed message.
+	 */
+	receive(message) {
+		switch (message.type) {
+			case 'joined':
+				this.slot = message.slot;
+				break;
+			case 'full':
+				this.close(`room ${message.room} is full`);
+				break;
+			case 'start':
+				// the run uses the config of the first player, which the server passes on unchecked
+				try {
+					this.config = NetSession.checkConfig(message.config);
+				} catch (error) {
+					this.close(`Can not play the game of the other player: ${error.message}`);
+					break;
+				}
+				this.slot = message.slot;
+				this.seed = message.seed;
+				this.player_count = message.players;
+				this.status = 'playing';
+				break;
+			case 'input':
+				this.setInput(message.tick, message.slot, message.code);
+				break;
+			case 'hash':
+				this.remote_hashes.set(message.tick, message.hash);
+				this.compareHashes(message.tick);
+				break;
+			case 'left':
+				this.left.add(message.slot);
+				// nobody is left to compare the hashes with
+				if (this.alone) {
+					this.hashes.clear();
+					this.remote_hashes.clear();
+				}
+				break;
+			case 'pong':
+				this.latency = Date.now() - message.time;
+				break;
+		}
+	}
+
+	/**
+	 * @type {Boolean} true once every other player left the run.
+	 */
+	get alone() {
+		for (let slot = 0; slot < this.player_count; slot++) {
+			if (slot != this.slot && !this.left.has(slot)) {
+				return false;
+			}
+		}
+		return true;
+	}
+
+	/**
+	 * Stops the session, keeping the first reason given.
+	 * 
+	 * @param {String} reason Shown to the player.
+	 */
+	close(reason) {
+		if (this.status == 'closed') {
+			return;
+		}
+
+		this.status = 'closed';
+		this.error = reason;
+		clearInterval(this.ping_timer);
+		if (this.socket.readyState <= 1) {
+			this.socket.close();
+		}
+	}
+
+	/**
+	 * Creates the world of the run once it started.
+	 * 
+	 * @returns {World} The world to play.
+	 */
+	createWorld() {
+		return new World(this.config, this.seed, this.player_count);
+	}
+
+	/**
+	 * @param {Number} tick The update the controller state is for.
+	 * @param {Number} slot The player it belongs to.
+	 * @param {String} code The controller state, made by encodeController.
+	 */
+	setInput(tick, slot, code) {
+		if (!this.inputs.has(tick)) {
+			this.inputs.set(tick, new Array(this.player_count).fill(null));
+		}
+		this.inputs.get(tick)[slot] = code;
+	}
+
+	/**
+	 * @returns {Array<String>} The controller codes of every player for the next update, or null
+	 * if one of them has not arrived yet. The first updates, before any input could arrive, and
+	 * players that left are idle.
+	 */
+	nextInputs() {
+		const idle = encodeController({ move_x: 0, move_y: 0 });
+		const codes = this.inputs.get(this.tick) || new Array(this.player_count).fill(null);
+
+		return this.tick < this.input_delay ? codes.map(() => idle) : codes.map((code, slot) => {
+			return code == null && this.left.has(slot) ? idle : code;
+		});
+	}
+
+	/**
+	 * Sends the controller of this client for the update input_delay updates ahead, then plays the
+	 * next update if the controllers of every player are known. The caller polls the controller.
+	 * 
+	 * @param {World} world The world made by createWorld.
+	 * @param {Object} controller The polled controller of this client.
+	 * @returns {Boolean} true if an update was played, false if it is waiting for the other client.
+	 */
+	step(world, controller) {
+		if (this.status != 'playing' || this.desync_tick != null) {
+			return false;
+		}
+
+		if (this.sent_tick < this.tick + this.input_delay) {
+			this.sent_tick += 1;
+			const code = encodeController(controller);
+			this.setInput(this.sent_tick, this.slot, code);
+			this.send({ type: 'input', tick: this.sent_tick, code: code });
+		}
+
+		const codes = this.nextInputs();
+		if (codes.includes(null)) {
+			return false;
+		}
+
+		world.players.forEach((player, index) => decodeController(codes[index], player.controller));
+		world.update(this.config.update_rate.seconds);
+		this.inputs.delete(this.tick);
+
+		if (this.tick % this.hash_interval == 0 && !this.alone) {
+			const hash = stateHash(world);
+			this.hashes.set(this.tick, hash);
+			this.send({ type: 'hash', tick: this.tick, hash: hash });
+			this.compareHashes(this.tick);
+		}
+
+		this.tick += 1;
+		return true;
+	}
+
+	/**
+	 * Checks the hashes of an update once both clients sent theirs.
+	 * 
+	 * @param {Number} tick The update the hashes are for.
+	 */
+	compareHashes(tick) {
+		if (!this.hashes.has(tick) || !this.remote_hashes.has(tick)) {
+			return;
+		}
+
+		if (this.hashes.get(tick) !== this.remote_hashes.get(tick) && this.desync_tick == null) {
+			this.desync_tick = tick;
+		}
+		this.hashes.delete(tick);
+		this.remote_hashes.delete(tick);
+	}
+}
+
+/* 
+------------------------------
+---- LEADERBOARD SECTION ----- 
+------------------------------
+*/
+
+/** @type {Number} The version of the stored leaderboard, older versions are migrated on load */
+const LEADERBOARD_VERSION = 1;
+
+/**
+ * Upgrades stored leaderboards one version at a time. The function under a version takes the whole
+ * data of that version and returns the data of the next version.
+ * 
+ * @type {Object<Number, Function>}
+ */
+const leaderboard_migrations = {
+	// version 0 is the unversioned list of initials and scores the high score screens kept before
+	// the leaderboard, it has no run stats
+	0: data => ({
+		version: 1,
+		entries: data.entries.map(entry => ({
+			initials: entry != null ? entry.initials : undefined,
+			score: entry != null ? entry.score : undefined,
+			kills: 0,
+			time_alive: 0,
+			enemies_spawned: 0,
+			accuracy: 0,
+			date: null
+		}))
+	})
+};
+
+/**
+ * Keeps the best runs, highest score first, and saves them to local storage. Every entry holds the
+ * initials of the player and the stats of the run.
+ * 
+ * @typedef Leaderboard
+ */
+class Leaderboard {
+	/**
+	 * Creates a leaderboard and loads the stored entries.
+	 * 
+	 * @param {Number} size The number of runs kept.
+	 * @param {Storage} storage Where to keep the entries, null to only keep them in memory.
+	 * @param {String} key The storage key.
+	 */
+	constructor(size = 10, storage = typeof localStorage !== 'undefined' ? localStorage : null, key = 'space_shooter.leaderboard') {
+		this.size = size;
+		this.storage = storage;
+		this.key = key;
+		/** @type {Array<Object>} The kept runs, highest score first */
+		this.entries = [];
+
+		this.load();
+	}
+
+	/**
+	 * Makes a leaderboard entry out of the current run of a world.
+	 * 
+	 * @param {World} world The world of the finished run.
+	 * @param {String} initials The initials of the player.
+	 * @returns {Object} The entry.
+	 */
+	static entryFromWorld(world, initials) {
+		return {
+			initials: initials,
+			score: world.score,
+			kills: world.enemies_hit,
+			time_alive: Math.round(world.time_alive),
+			enemies_spawned: world.enemy_count,
+			accuracy: world.shots_fired > 0 ? world.shots_hit / world.shots_fired : 0,
+			date: new Date().toISOString()
+		};
+	}
+
+	/**
+	 * @param {Object} entry An entry of stored or imported data.
+	 * @returns {Boolean} true if every field of the entry has the type the game expects.
+	 */
+	static isValidEntry(entry) {
+		const numbers = ['score', 'kills', 'time_alive', 'enemies_spawned', 'accuracy'];
+		return entry !== null && typeof entry === 'object'
+			&& typeof entry.initials === 'string'
+			&& numbers.every(field => typeof entry[field] === 'number' && Number.isFinite(entry[field]))
+			&& (entry.date === null || (typeof entry.date === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(entry.date) && !isNaN(Date.parse(entry.date))));
+	}
+
+	/**
+	 * Brings stored data of any known version up to the current version. Invalid entries are
+	 * dropped, so bad data can never reach the screens.
+	 * 
+	 * @param {Object|Array} data The parsed stored data, a bare list of entries is version 0.
+	 * @returns {Object} The data in the current version.
+	 * @throws {Error} If the data is not a leaderboard of a known version.
+	 */
+	static migrate(data) {
+		if (Array.isArray(data)) {
+			data = { version: 0, entries: data };
+		}
+		if (data === null || typeof data !== 'object' || !Array.isArray(data.entries)) {
+			throw new Error('Not a leaderboard');
+		}
+
+		while (data.version < LEADERBOARD_VERSION && leaderboard_migrations[data.version] != null) {
+			data = leaderboard_migrations[data.version](data);
+		}
+
+		if (data.version !== LEADERBOARD_VERSION || !Array.isArray(data.entries)) {
+			throw new Error(`Unsupported leaderboard version ${data.version}`);
+		}
+
+		const entries = data.entries.filter(entry => Leaderboard.isValidEntry(entry));
+		if (entries.length < data.entries.length) {
+			console.warn(`Dropping ${data.entries.length - entries.length} invalid leaderboard entries`);
+		}
+		return { version: data.version, entries: entries };
+	}
+
+	/**
+	 * @type {Number} The best score on the board, zero if the board is empty.
+	 */
+	get best_score() {
+		return this.entries.length > 0 ? this.entries[0].score : 0;
+	}
+
+	/**
+	 * Reads the entries from storage. Unreadable data is dropped instead of breaking the game.
+	 */
+	load() {
+		if (this.storage == null) {
+			return;
+		}
+
+		const text = this.storage.getItem(this.key);
+		if (text == null) {
+			return;
+		}
+
+		try {
+			this.entries = Leaderboard.migrate(JSON.parse(text)).entries;
+		} catch (error) {
+			console.warn(`Dropping stored leaderboard: ${error.message}`);
+			this.entries = [];
+		}
+	}
+
+	/**
+	 * Writes the entries to storage.
+	 */
+	save() {
+		if (this.storage != null) {
+			this.storage.setItem(this.key, JSON.stringify(this));
+		}
+	}
+
+	/**
+	 * @param {Number} score The score of a finished run.
+	 * @returns {Boolean} true if the score earns a place on the board.
+	 */
+	qualifies(score) {
+		if (score <= 0) {
+			return false;
+		}
+		return this.entries.length < this.size || score > this.entries[this.entries.length - 1].score;
+	}
+
+	/**
+	 * Adds entries to the board, dropping the lowest ones if it gets too long, and saves it.
+	 * 
+	 * @param {...Object} entries The entries to add.
+	 */
+	add(...entries) {
+		this.entries.push(...entries);
+		this.entries.sort((a, b) => b.score - a.score);
+		this.entries.length = Math.min(this.entries.length, this.size);
+		this.save();
+	}
+
+	/**
+	 * Merges an exported leaderboard into this one. Runs already on the board, with the same
+	 * initials, score and date, are not added again.
+	 * 
+	 * @param {String} text The exported JSON.
+	 */
+	import(text) {
+		const id = entry => `${entry.initials}|${entry.score}|${entry.date}`;
+		const seen = new Set(this.entries.map(id));
+		this.add(...Leaderboard.migrate(JSON.parse(text)).entries.filter(entry => {
+			if (seen.has(id(entry))) {
+				return false;
+			}
+			seen.add(id(entry));
+			return true;
+		}));
+	}
+
+	/**
+	 * @returns {Object} The stored and exported form of the board.
+	 */
+	toJSON() {
+		return {
+			version: LEADERBOARD_VERSION,
+			entries: this.entries
+		};
+	}
+}
+
+/* 
+------------------------------
+---- ACHIEVEMENT SECTION ----- 
+------------------------------
+*/
+
+/** @type {Number} The version of the stored achievements, other versions are dropped on load */
+const ACHIEVEMENTS_VERSION = 1;
+
+/**
+ * Every achievement. progress reads how far the current run got from its world and is checked
+ * whenever one of the events happens, the achievement unlocks once it reaches the goal.
+ * 
+ * @type {Object<String, Object>}
+ */
+const achievement_definitions = {
+	hundred_kills: {
+		title: 'Centurion',
+		description: 'destroy 100 enemies in one run',
+		goal: 100,
+		events: ['enemyKilled'],
+		progress: world => world.enemies_hit
+	},
+	untouchable: {
+		title: 'Untouchable',
+		description: 'survive 2 minutes without taking damage',
+		goal: 120,
+		events: ['tick'],
+		progress: world => Math.max(0, ...world.players.filter(player => !player.isDead()).map(player => world.score_keeper.undamagedTime(player)))
+	},
+	sharpshooter: {
+		title: 'Sharpshooter',
+		description: 'end a run with 90% accuracy after at least 50 shots',
+		goal: 90,
+		events: ['runEnded'],
+		progress: world => world.shots_fired >= 50 ? 100 * world.shots_hit / world.shots_fired : 0
+	}
+};
+
+/**
+ * Tracks the achievements over the events of the game and saves the best progress of each one to
+ * local storage. Only the events of the tracked world count, so watching a replay unlocks nothing.
+ * Unlocking an achievement shows a toast over every screen.
+ * 
+ * @typedef Achievements
+ */
+class Achievements {
+	// seconds an unlock toast stays on screen
+	toast_time = 3;
+
+	/**
+	 * Creates the achievements and loads the stored progress.
+	 * 
+	 * @param {Object<String, Object>} definitions The achievements, in the format of achievement_definitions.
+	 * @param {Storage} storage Where to keep the progress, null to only keep it in memory.
+	 * @param {String} key The storage key.
+	 */
+	constructor(definitions, storage = typeof localStorage !== 'undefined' ? localStorage : null, key = 'space_shooter.achievements') {
+		this.definitions = definitions;
+		this.storage = storage;
+		this.key = key;
+		/** @type {Object<String, Object>} The best progress of every achievement and the date it was unlocked, null while locked */
+		this.records = {};
+		/** @type {World} The world whose events count, null to count none */
+		this.world = null;
+		/** @type {Array<Object>} The unlock toasts on screen */
+		this.toasts = [];
+		/** @type {Function} Called whenever progress was made */
+		this.onchange = () => {};
+
+		this.load();
+	}
+
+	/**
+	 * Reads the progress from storage. Unreadable data is dropped instead of breaking the game.
+	 */
+	load() {
+		let stored = {};
+		try {
+			const data = this.storage != null ? JSON.parse(this.storage.getItem(this.key)) : null;
+			if (data != null && data.version !== ACHIEVEMENTS_VERSION) {
+				throw new Error(`unsupported version ${data.version}`);
+			}
+			stored = data != null ? data.records : {};
+		} catch (error) {
+			console.warn(`Dropping stored achievements: ${error.message}`);
+		}
+
+		// achievements added since the progress was stored start from nothing
+		for (let id of Object.keys(this.definitions)) {
+			this.records[id] = Object.assign({ progress: 0, unlocked: null }, stored[id]);
+		}
+	}
+
+	/**
+	 * Writes the progress to storage.
+	 */
+	save() {
+		if (this.storage != null) {
+			this.storage.setItem(this.key, JSON.stringify({ version: ACHIEVEMENTS_VERSION, records: this.records }));
+		}
+	}
+
+	/**
+	 * Starts listening to the events every achievement is checked on.
+	 * 
+	 * @param {EventBus} bus The events of the game.
+	 */
+	listen(bus) {
+		for (let [id, definition] of Object.entries(this.definitions)) {
+			definition.events.forEach(name => bus.on(name, () => this.check(id)));
+		}
+	}
+
+	/**
+	 * Updates the progress of an achievement from the world being updated, if it is the tracked
+	 * one. Progress is kept in whole steps, so it is only saved when it grows by one.
+	 * 
+	 * @param {String} id The key of the achievement.
+	 */
+	check(id) {
+		if (world !== this.world) {
+			return;
+		}
+
+		const definition = this.definitions[id];
+		const record = this.records[id];
+		const progress = Math.min(Math.floor(definition.progress(world)), definition.goal);
+		if (progress <= record.progress) {
+			return;
+		}
+
+		record.progress = progress;
+		if (progress >= definition.goal && record.unlocked == null) {
+			record.unlocked = new Date().toISOString();
+			this.toasts.push({ text: definition.title, age: 0 });
+			playSound('achievement');
+		}
+		this.save();
+		this.onchange();
+	}
+
+	/**
+	 * Moves the toasts along, they are not part of the world so this runs on every screen.
+	 * 
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		this.toasts.forEach(toast => toast.age += delta_time);
+		this.toasts = this.toasts.filter(toast => toast.age < this.toast_time);
+	}
+
+	/**
+	 * Draws the unlock toasts at the top of the board, the newest one last.
+	 * 
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+		const center = config.canvas_size.width / 2;
+		this.toasts.forEach((toast, index) => {
+			const y = 30 + index * 26;
+			graphics.globalAlpha = Math.min(1, 2 * (this.toast_time - toast.age));
+			graphics.fillStyle = '#000000';
+			graphics.fillRect(center - 100, y - 14, 200, 22);
+			graphics.strokeStyle = '#FFD700';
+			graphics.strokeRect(center - 100, y - 14, 200, 22);
+			graphics.fillStyle = '#FFD700';
+			graphics.font = "12px Arial";
+			graphics.textAlign = "center";
+			graphics.fillText(`achievement unlocked: ${toast.text}`, center, y + 1);
+		});
+		graphics.globalAlpha = 1;
+		graphics.textAlign = "left";
+	}
+}
+
+/* 
+------------------------------
+------- STATE SECTION -------- 
+------------------------------
+*/
+
+/**
+ * A screen of the game, like the title screen or the game itself. Every state has its own update
+ * and draw handlers, the state machine only calls the ones of the active state.
+ * 
+ * @typedef GameState
+ */
+class GameState {
+	/**
+	 * @param {StateMachine} machine The machine this state belongs to, used to change states.
+	 */
+	constructor(machine) {
+		this.machine = machine;
+	}
+
+	/**
+	 * @type {Boolean} true if the touch auto fire button fires in this state, only while a run is
+	 * played.
+	 */
+	get auto_fire() {
+		return false;
+	}
+
+	/**
+	 * Called when the machine changes to this state.
+	 */
+	enter() {
+	}
+
+	/**
+	 * Called when the machine changes away from this state.
+	 */
+	exit() {
+	}
+
+	/**
+	 * @param {Number} delta_time Time since last update in seconds.
+	 */
+	update(delta_time) {
+	}
+
+	/**
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+	}
+}
 
-		//Removes enemy once it exits view
-		if (this.position.y > 500) {
-			this.remove()
+/**
+ * Shows the loading progress of the assets and moves on to the title screen once they and the
+ * mods are done. The sounds are synthesized while the images load.
+ * 
+ * @typedef LoadingState
+ */
+class LoadingState extends GameState {
+	enter() {
+		if (audio != null) {
+			audio.prepare();
+		}
+	}
+
+	update(delta_time) {
+		if (renderer.ready && mods_loaded) {
+			this.machine.change('title');
+		}
+	}
+
+	draw(graphics) {
+		clearScreen(graphics);
+		drawOverlay(graphics, 'Loading', [`${Math.round(renderer.progress * 100)}%`]);
+	}
+}
+
+/**
+ * The title screen, shows the high scores and waits for space.
+ * 
+ * @typedef TitleState
+ */
+class TitleState extends GameState {
+	update(delta_time) {
+		if (input_handler.wasPressed('options')) {
+			this.machine.change('options');
+			return;
+		}
+
+		if (input_handler.wasPressed('continue') && saved_run != null) {
+			continueRun();
+			return;
+		}
+
+		if (input_handler.wasPressed('action_1') || input_handler.wasPressed('co_op')) {
+			// a new run replaces the saved one
+			forgetSavedRun();
+			start(input_handler.wasPressed('co_op') ? 2 : 1);
+			this.machine.change('playing');
+		}
+	}
+
+	draw(graphics) {
+		clearScreen(graphics);
+
+		const lines = [
+			'press space to start, 2 for two player co-op', '',
+			'WASD or arrows to move, space to fire', 'B for a bomb, P or Esc to pause',
+			'player two: arrows, enter to fire, right shift for a bomb',
+			`O for options, difficulty ${settingsPreset(config.settings)}`, '',
+			'high scores'
+		];
+		if (saved_run != null) {
+			lines.unshift(`press C to continue your last run, score ${saved_run.score} wave ${saved_run.enemy_spawner.wave_number}`);
+		}
+		leaderboard.entries.slice(0, 5).forEach((entry, index) => lines.push(`${index + 1}. ${entry.initials} ${entry.score}`));
+		if (leaderboard.entries.length == 0) {
+			lines.push('none yet');
+		}
+
+		drawOverlay(graphics, 'Space Shooter', lines);
+	}
+}
+
+/**
+ * The game itself. Steps and records the world until the player dies.
+ * 
+ * @typedef PlayingState
+ */
+class PlayingState extends GameState {
+	get auto_fire() {
+		return true;
+	}
+
+	update(delta_time) {
+		if (input_handler.wasPressed('pause')) {
+			this.machine.change('paused');
+			return;
+		}
+
+		recorder.record(...world.players.map(player => player.controller));
+		world.update(delta_time);
+
+		if (world.isOver()) {
+			this.machine.change('game_over');
+		}
+	}
+
+	draw(graphics) {
+		drawWorld(graphics);
+	}
+}
+
+/**
+ * Freezes the game until the pause button is pressed again. The run is saved, so it can be
+ * continued from the title screen if the page is closed now.
+ * 
+ * @typedef PausedState
+ */
+class PausedState extends GameState {
+	enter() {
+		// the game might not be resumed, keep the run to continue it later
+		saveRun();
+	}
+
+	update(delta_time) {
+		if (input_handler.wasPressed('pause')) {
+			this.machine.change('playing');
+		}
+	}
+
+	draw(graphics) {
+		drawWorld(graphics);
+		drawOverlay(graphics, 'Paused', ['press P or Esc to resume']);
+	}
+}
+
+/**
+ * Shows the stats of the finished run. Leads to the initials entry if the score made the
+ * leaderboard, otherwise space starts a new run. L shows the leaderboard.
+ * 
+ * @typedef GameOverState
+ */
+class GameOverState extends GameState {
+	enter() {
+		this.is_high_score = leaderboard.qualifies(world.score);
+		playSound('game_over');
+		forgetSavedRun();
+	}
+
+	update(delta_time) {
+		if (input_handler.wasPressed('leaderboard')) {
+			this.machine.change('leaderboard');
+			return;
+		}
+
+		if (!input_handler.wasPressed('action_1')) {
+			return;
+		}
+
+		if (this.is_high_score) {
+			this.machine.change('high_score_entry');
+		} else {
+			start(world.player_count);
+			this.machine.change('playing');
 		}
+	}
+
+	draw(graphics) {
+		drawWorld(graphics);
+		drawOverlay(graphics, 'Game Over', [
+			`score ${world.score}`,
+			`kills ${world.enemies_hit}`,
+			`time alive ${Math.round(world.time_alive)}s`,
+			`enemies spawned ${world.enemy_count}`,
+			`wave ${world.enemy_spawner.wave_number}`,
+			`accuracy ${formatAccuracy(world.shots_fired > 0 ? world.shots_hit / world.shots_fired : 0)}`,
+			...(world.players.length > 1 ? world.players.map(player => `P${player.index + 1} ${player.points} points`) : []),
+			'',
+			this.is_high_score ? 'new high score! press space to enter your initials' : 'press space to restart',
+			'press L for the leaderboard'
+		]);
+	}
+}
+
+/**
+ * Lets the player type their initials for a new high score. Without a keyboard, up and down pick
+ * the last letter, right adds a letter and left takes one away. Fire saves the initials and pause
+ * skips the entry, so touch and gamepad players can leave the screen too.
+ * 
+ * @typedef HighScoreEntryState
+ */
+class HighScoreEntryState extends GameState {
+	// the most letters the initials can have
+	max_length = 3;
+	// the letters up and down step through
+	letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+	// saved when fire is pressed before any letter was picked
+	default_initials = '???';
+
+	enter() {
+		this.initials = '';
+		// ignore whatever was typed during the game
+		input_handler.takeTypedKeys();
+	}
+
+	/**
+	 * Saves the entry and shows the leaderboard.
+	 * 
+	 * @param {String} initials The initials to save.
+	 */
+	save(initials) {
+		leaderboard.add(Leaderboard.entryFromWorld(world, initials));
+		this.machine.change('leaderboard');
+	}
 
-		//Determins if enemy has been hit by a projectile
-		player.projectiles.map((projectile) => {
-			if ((this.position.x + 10 >= projectile.x && this.position.x - 10 <= projectile.x) && (this.position.y + 10 >= projectile.y && this.position.y - 10 <= projectile.y)) {
-				this.remove()
+	update(delta_time) {
+		const keys = input_handler.takeTypedKeys();
+		// typed keys also press the actions bound to them, like P for pause, so they win
+		if (keys.length > 0) {
+			for (let key of keys) {
+				if (/^[a-z0-9]$/i.test(key) && this.initials.length < this.max_length) {
+					this.initials += key.toUpperCase();
+				} else if (key == 'Backspace') {
+					this.initials = this.initials.slice(0, -1);
+				} else if (key == 'Enter' && this.initials.length > 0) {
+					this.save(this.initials);
+					return;
+				}
 			}
-		})
+			return;
+		}
 
-		//If enemy hits the player, it decreases their health and removes self
-		if ((this.position.x + 10 >= player.position.x && this.position.x - 10 <= player.position.x) &&
-			(this.position.y + 10 >= player.position.y && this.position.y - 10 <= player.position.y)) {
-			player.hit = 100
-			player.health -= 25
-			this.remove()
+		if (input_handler.wasPressed('pause')) {
+			this.machine.change('title');
+			return;
 		}
 
-		// update position
-		super.update(delta_time);
+		if (input_handler.wasPressed('action_1')) {
+			this.save(this.initials.length > 0 ? this.initials : this.default_initials);
+			return;
+		}
+
+		const step = input_handler.wasPushed('move_y', -1) ? 1 : input_handler.wasPushed('move_y', 1) ? -1 : 0;
+		if (step != 0) {
+			const last = this.initials.length > 0 ? this.letters.indexOf(this.initials.slice(-1)) : -1;
+			// up from nothing starts at A, down from nothing at the last letter
+			const next = last < 0 ? (step > 0 ? 0 : this.letters.length - 1) : (last + step + this.letters.length) % this.letters.length;
+			this.initials = this.initials.slice(0, -1) + this.letters[next];
+		} else if (input_handler.wasPushed('move_x', 1) && this.initials.length < this.max_length) {
+			this.initials += this.letters[0];
+		} else if (input_handler.wasPushed('move_x', -1)) {
+			this.initials = this.initials.slice(0, -1);
+		}
+	}
+
+	draw(graphics) {
+		drawWorld(graphics);
+		drawOverlay(graphics, 'New High Score', [
+			`score ${world.score}`,
+			'',
+			`initials ${this.initials.padEnd(this.max_length, '_')}`,
+			'',
+			'type your initials and press enter',
+			'or up and down to pick a letter, right for the next one',
+			'fire to save, pause to skip'
+		]);
+	}
+}
+
+/**
+ * Shows every run on the leaderboard with its stats. Space goes back to the title.
+ * 
+ * @typedef LeaderboardState
+ */
+class LeaderboardState extends GameState {
+	update(delta_time) {
+		if (input_handler.wasPressed('action_1') || input_handler.wasPressed('leaderboard')) {
+			this.machine.change('title');
+		}
+	}
+
+	draw(graphics) {
+		clearScreen(graphics);
+
+		const columns = [
+			{ title: '#', x: 15, value: (entry, index) => index + 1 },
+			{ title: 'name', x: 35, value: entry => entry.initials },
+			{ title: 'score', x: 80, value: entry => entry.score },
+			{ title: 'kills', x: 130, value: entry => entry.kills },
+			{ title: 'time', x: 170, value: entry => `${entry.time_alive}s` },
+			{ title: 'spawned', x: 210, value: entry => entry.enemies_spawned },
+			{ title: 'acc', x: 260, value: entry => formatAccuracy(entry.accuracy) },
+			{ title: 'date', x: 300, value: entry => entry.date != null ? entry.date.slice(5, 10) : '-' }
+		];
+
+		graphics.fillStyle = '#FFFFFF';
+		graphics.font = "24px Arial";
+		graphics.textAlign = "center";
+		graphics.fillText('Leaderboard', config.canvas_size.width / 2, 50);
+
+		graphics.font = "10px Arial";
+		graphics.textAlign = "left";
+		columns.forEach(column => graphics.fillText(column.title, column.x, 85));
+		leaderboard.entries.forEach((entry, index) => {
+			columns.forEach(column => graphics.fillText(`${column.value(entry, index)}`, column.x, 105 + index * 16));
+		});
+
+		graphics.font = "12px Arial";
+		graphics.textAlign = "center";
+		graphics.fillText('press space to continue', config.canvas_size.width / 2, config.canvas_size.height - 40);
+	}
+}
+
+/**
+ * Lets the player pick a difficulty preset or change every setting on its own. Up and down pick a
+ * row, left and right change it. The changes are saved right away and used from the next run on.
+ * 
+ * @typedef OptionsState
+ */
+class OptionsState extends GameState {
+	enter() {
+		// the row being changed, the preset row comes first and then one row per setting
+		this.row = 0;
+	}
+
+	/**
+	 * @type {Array<String>} The names of the rows, preset and the keys of the settings schema.
+	 */
+	get rows() {
+		return ['preset', ...Object.keys(settings_schema)];
+	}
+
+	update(delta_time) {
+		if (input_handler.wasPressed('options') || input_handler.wasPressed('pause') || input_handler.wasPressed('action_1')) {
+			this.machine.change('title');
+			return;
+		}
+
+		const rows = this.rows;
+		if (input_handler.wasPushed('move_y', 1)) {
+			this.row = (this.row + 1) % rows.length;
+		} else if (input_handler.wasPushed('move_y', -1)) {
+			this.row = (this.row + rows.length - 1) % rows.length;
+		}
+
+		const direction = input_handler.wasPushed('move_x', 1) ? 1 : input_handler.wasPushed('move_x', -1) ? -1 : 0;
+		if (direction == 0) {
+			return;
+		}
+
+		const name = rows[this.row];
+		if (name == 'preset') {
+			// custom settings step to the first or last preset
+			const presets = Object.keys(settings_presets);
+			const index = presets.indexOf(settingsPreset(config.settings));
+			const next = index < 0 ? (direction > 0 ? 0 : presets.length - 1) : (index + direction + presets.length) % presets.length;
+			changeSettings({ preset: presets[next] });
+		} else {
+			const field = settings_schema[name];
+			const value = Math.min(Math.max(field.min, config.settings[name] + direction * field.step), field.max);
+			// round away the float error of adding steps
+			changeSettings(Object.assign({}, config.settings, { preset: 'custom', [name]: Number(value.toFixed(2)) }));
+		}
+	}
+
+	draw(graphics) {
+		clearScreen(graphics);
+
+		const lines = this.rows.map((name, index) => {
+			const label = name == 'preset' ? 'difficulty' : settings_schema[name].label;
+			const value = name == 'preset' ? settingsPreset(config.settings) : config.settings[name];
+			return index == this.row ? `> ${label}  < ${value} >` : `${label}  ${value}`;
+		});
+		lines.push('', 'up and down to pick, left and right to change', 'press O or space to go back');
+
+		drawOverlay(graphics, 'Options', lines);
+	}
+}
+
+/**
+ * Plays a loaded replay in place of the live game. Space goes back to the title once it is over.
+ * 
+ * @typedef ReplayState
+ */
+class ReplayState extends GameState {
+	exit() {
+		replay_input = null;
+	}
+
+	update(delta_time) {
+		if (replay_input.finished) {
+			if (input_handler.wasPressed('action_1')) {
+				this.machine.change('title');
+			}
+			return;
+		}
+
+		replay_input.players = world.players;
+		replay_input.pollController();
+		world.update(delta_time);
+	}
+
+	draw(graphics) {
+		drawWorld(graphics);
+
+		graphics.font = "10px Arial";
+		graphics.fillStyle = '#FFFFFF';
+		graphics.textAlign = "right";
+		graphics.fillText('replay', config.canvas_size.width - 5, 12);
+
+		if (replay_input.finished) {
+			drawOverlay(graphics, 'Replay Over', ['press space to continue']);
+		}
+	}
+}
+
+/**
+ * Plays an online co-op run through net_session. Waits in the lobby until the room is full, then
+ * plays one lockstep update per frame with the local player. Pause leaves the run, there is no
+ * pausing a game someone else is playing.
+ * 
+ * @typedef OnlineState
+ */
+class OnlineState extends GameState {
+	enter() {
+		// the world of the run is made once the server starts it
+		this.started = false;
+		// seconds spent waiting for the input of the other player
+		this.stalled = 0;
+	}
+
+	exit() {
+		net_session.close('left the game');
+		net_session = null;
+	}
+
+	/**
+	 * @type {Boolean} true while the run is played, not in the lobby or once it is over.
+	 */
+	get auto_fire() {
+		return this.started && !world.isOver() && net_session.desync_tick == null;
+	}
+
+	update(delta_time) {
+		if (input_handler.wasPressed('pause')) {
+			this.machine.change('title');
+			return;
+		}
+
+		if (!this.started) {
+			if (net_session.status == 'playing') {
+				const high_score = world.high_score;
+				world = net_session.createWorld();
+				world.high_score = high_score;
+				recorder = new Recorder(world);
+				achievements.world = world;
+				this.started = true;
+			}
+			return;
+		}
+
+		if (world.isOver() || net_session.desync_tick != null) {
+			if (input_handler.wasPressed('action_1')) {
+				this.machine.change('title');
+			}
+			return;
+		}
+
+		if (net_session.step(world, input_handler.controller)) {
+			recorder.record(...world.players.map(player => player.controller));
+			this.stalled = 0;
+		} else {
+			this.stalled += delta_time;
+		}
+	}
+
+	draw(graphics) {
+		if (!this.started) {
+			clearScreen(graphics);
+			drawOverlay(graphics, 'Online', net_session.status == 'closed'
+				? [net_session.error, '', 'press P or Esc to go back']
+				: [net_session.status == 'connecting' ? 'connecting...' : `waiting for another player in room ${net_session.room}`, '', 'press P or Esc to leave']);
+			return;
+		}
+
+		drawWorld(graphics);
+
+		const notes = [`P${net_session.slot + 1}`, net_session.latency != null ? `ping ${net_session.latency}ms` : 'ping -'];
+		if (net_session.left.size > 0) {
+			notes.push('the other player left');
+		}
+		if (net_session.desync_tick != null) {
+			notes.push(`desync at update ${net_session.desync_tick}`);
+		}
+		graphics.font = "10px Arial";
+		graphics.fillStyle = '#FFFFFF';
+		graphics.textAlign = "right";
+		graphics.fillText(notes.join('  '), config.canvas_size.width - 5, 12);
+
+		if (net_session.desync_tick != null) {
+			drawOverlay(graphics, 'Desync', [`the games drifted apart at update ${net_session.desync_tick}`, '', 'press space to continue']);
+		} else if (world.isOver()) {
+			drawOverlay(graphics, 'Game Over', [
+				`score ${world.score}`,
+				...world.players.map(player => `P${player.index + 1} ${player.points} points`),
+				'', 'press space to continue'
+			]);
+		} else if (net_session.status == 'closed') {
+			drawOverlay(graphics, 'Disconnected', [net_session.error, '', 'press P or Esc to go back']);
+		} else if (this.stalled > 0.5) {
+			drawOverlay(graphics, 'Waiting', ['for the other player']);
+		}
+	}
+}
+
+/**
+ * Holds the game states and forwards update and draw calls to the active one.
+ * 
+ * @typedef StateMachine
+ */
+class StateMachine {
+	constructor() {
+		/** @type {Object<String, GameState>} Every state by name */
+		this.states = {
+			loading: new LoadingState(this),
+			title: new TitleState(this),
+			playing: new PlayingState(this),
+			paused: new PausedState(this),
+			game_over: new GameOverState(this),
+			high_score_entry: new HighScoreEntryState(this),
+			leaderboard: new LeaderboardState(this),
+			options: new OptionsState(this),
+			replay: new ReplayState(this),
+			online: new OnlineState(this)
+		};
+		/** @type {String} The name of the active state */
+		this.name = null;
+		/** @type {GameState} The active state */
+		this.state = null;
+	}
 
+	/**
+	 * Leaves the active state and enters another one.
+	 * 
+	 * @param {String} name The name of the state to enter.
+	 */
+	change(name) {
+		if (this.state != null) {
+			this.state.exit();
+		}
 
-		// clip to screen
-		this.position.x = Math.min(Math.max(0, this.position.x), config.canvas_size.width + 50);
-		this.position.y = Math.min(Math.max(0, this.position.y), config.canvas_size.height + 50);
+		this.name = name;
+		this.state = this.states[name];
+		this.state.enter();
+	}
 
+	/**
+	 * @param {Number} delta_time Time since last update in seconds.
+	 */
+	update(delta_time) {
+		this.state.update(delta_time);
+	}
 
+	/**
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+		this.state.draw(graphics);
 	}
 }
 
 /* 
 ------------------------------
------- CONFIG SECTION -------- 
+------- MAIN SECTION  -------- 
 ------------------------------
 */
 
-const config = {
-	graphics: {
-		// set to false if you are not using a high resolution monitor
-		is_hi_dpi: true
-	},
-	canvas_size: {
-		width: 360,
-		height: 500
-	},
-	update_rate: {
-		fps: 60,
-		seconds: null
-	}
-};
+/** @type {Number} last frame time in seconds */
+var last_time = null;
 
-config.update_rate.seconds = 1 / config.update_rate.fps;
+/** @type {InputHandler} Feeds the keyboard into the controller of the world's player */
+var input_handler = null;
 
-// grab the html span
-const game_state = document.getElementById('game_state');
+/** @type {InputHandler} Feeds the keys of player two into their controller in co-op */
+var input_handler_two = null;
 
-// grab the html canvas
-const game_canvas = document.getElementById('game_canvas');
-game_canvas.style.width = `${config.canvas_size.width}px`;
-game_canvas.style.height = `${config.canvas_size.height}px`;
+/** @type {Recorder} Records the current live run so it can be saved as a replay */
+var recorder = null;
 
-const graphics = game_canvas.getContext('2d');
+/** @type {ReplayInput} Feeds a loaded replay into the world, null while playing live */
+var replay_input = null;
+
+/** @type {Achievements} The achievements and their progress, counting the live run */
+var achievements = null;
+
+/** @type {Boolean} true once every mod in config.mods was loaded, or failed to */
+var mods_loaded = false;
+
+/** @type {Object} The snapshot of the run saved when the game was last paused, null if there is none */
+var saved_run = null;
+
+/** @type {NetSession} The online run being played or waited for, null while offline */
+var net_session = null;
+
+/** @type {StateMachine} Decides which screen of the game is updated and drawn */
+var state_machine = null;
+
+/** @type {Leaderboard} The best runs, kept in local storage */
+var leaderboard = null;
+
+/** @type {CanvasRenderingContext2D} The graphics context of the game canvas */
+var graphics = null;
+
+/** @type {Renderer} Loads the sprites and draws them, null when running headless */
+var renderer = null;
+
+/** @type {Background} The scrolling background behind every screen */
+var background = null;
+
+/** @type {AudioEngine} Plays the sound effects and music, null when there is no Web Audio */
+var audio = null;
+
+/**
+ * Where the board sits on the canvas. The board keeps the size of config.canvas_size in canvas
+ * units and is scaled by scale to fit the canvas, the space left over on either side is letterbox.
+ * x and y are the offset of the board in css pixels, pixel_ratio the screen pixels per canvas unit.
+ */
+var viewport = { scale: 1, x: 0, y: 0, pixel_ratio: 1 };
+
+/**
+ * Grabs the graphics context of the html canvas and keeps the canvas fitted to the window.
+ */
+function setupCanvas() {
+	// grab the html canvas
+	const game_canvas = document.getElementById('game_canvas');
+	graphics = game_canvas.getContext('2d');
 
-// for monitors with a higher dpi
-if (config.graphics.is_hi_dpi) {
-	game_canvas.width = 2 * config.canvas_size.width;
-	game_canvas.height = 2 * config.canvas_size.height;
-	graphics.scale(2, 2);
-} else {
-	game_canvas.width = config.canvas_size.width;
-	game_canvas.height = config.canvas_size.height;
-	graphics.scale(1, 1);
+	resizeCanvas();
+	window.addEventListener("resize", resizeCanvas, false);
+	window.addEventListener("orientationchange", resizeCanvas, false);
 }
 
-/* 
-------------------------------
-------- MAIN SECTION  -------- 
-------------------------------
-*/
+/**
+ * Sizes the canvas to the width of its container and the height left in the window below its top,
+ * then fits the board into it as large as it goes without changing its shape. The canvas has a
+ * pixel for every screen pixel, so it stays sharp on high dpi screens.
+ */
+function resizeCanvas() {
+	const game_canvas = graphics.canvas;
+	const { width, height } = config.canvas_size;
 
-/** @type {Number} last frame time in seconds */
-var last_time = null;
+	const css_width = Math.max(1, Math.floor(game_canvas.parentElement.clientWidth));
+	const css_height = Math.max(1, Math.floor(window.innerHeight - game_canvas.offsetTop));
+	const device_ratio = window.devicePixelRatio || 1;
 
-/** @type {Number} A counter representing the number of update calls */
-var loop_count = 0;
+	viewport.scale = Math.min(css_width / width, css_height / height);
+	viewport.x = (css_width - width * viewport.scale) / 2;
+	viewport.y = (css_height - height * viewport.scale) / 2;
+	viewport.pixel_ratio = viewport.scale * device_ratio;
 
-/** @type {Number} A counter that is used to assign bodies a unique identifier */
-var running_id = 0;
+	game_canvas.style.width = `${css_width}px`;
+	game_canvas.style.height = `${css_height}px`;
+	game_canvas.width = Math.round(css_width * device_ratio);
+	game_canvas.height = Math.round(css_height * device_ratio);
 
-/** @type {Number} A counter that is used to count the number of times an enemy is hit with a projectile */
-var enemiesHit = 0;
+	// resizing the canvas resets its transform
+	graphics.setTransform(
+		viewport.pixel_ratio, 0, 0, viewport.pixel_ratio,
+		viewport.x * device_ratio, viewport.y * device_ratio
+	);
 
-/** @type {Number} A counter that is used to count the number of spawned enemies */
-var enemyCount = 0;
+	if (background != null) {
+		background.fit(viewport.pixel_ratio);
+	}
+}
 
-/** @type {Number} A counter that is used to determine the time game has been on, is not affected by player death */
-var masterTime = 0;
+/**
+ * This function polls the input and updates the active game state given a delta time.
+ * 
+ * @param {Number} delta_time Time since last update in seconds.
+ */
+function update(delta_time) {
+	// poll input, the players are replaced on every restart. In co-op player one leaves the arrow
+	// keys and the second gamepad to player two. Online the controller is only sampled, the
+	// session hands it to the player once the other client has it too
+	const online = net_session != null;
+	const co_op = world.players.length > 1 && !online;
+	input_handler.player = online ? null : world.player;
+	input_handler.yield_to = co_op ? input_handler_two : null;
+	input_handler.gamepad_index = co_op ? 0 : null;
+	input_handler.pollController();
+	input_handler_two.player = co_op ? world.players[1] : null;
+	input_handler_two.pollController();
 
-/** @type {Number} A counter that is used to determine how long player has been alive */
-var timeAliveCount = 0;
+	// the debug overlay and the sound can be toggled on every screen
+	if (input_handler.wasPressed('debug')) {
+		renderer.debug = !renderer.debug;
+	}
+	if (input_handler.wasPressed('mute') && audio != null) {
+		audio.set('muted', !audio.settings.muted);
+		document.getElementById('mute').checked = audio.settings.muted;
+	}
 
-/** @type {Number} A helper for timeAliveCount */
-var prevAliveCount = 0;
+	state_machine.update(delta_time);
+	achievements.update(delta_time);
 
-/** @type {Number} A counter that is used to see what the players current score is */
-var currerntHighScore = 0;
+	if (audio != null) {
+		audio.playMusic(currentMusic());
+	}
+}
 
-/** @type {Number} A counter that is used to see what the overall high score is */
-var masterHighScore = 0;
 
-/** @type {Number} A helper for firing off projectiles at the right interval */
-var projShotTime = 0;
+/**
+ * This function draws the active game state to the canvas.
+ * 
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ */
+function draw(graphics) {
+	// default font config
+	graphics.font = "10px Arial";
+	graphics.textAlign = "left";
 
-/** @type {Object<Number, Body>} This is a map of body ids to body instances */
-var entities = null;
+	// keep everything off the letterbox around the board
+	graphics.save();
+	graphics.beginPath();
+	graphics.rect(0, 0, config.canvas_size.width, config.canvas_size.height);
+	graphics.clip();
 
-/** @type {Array<Number>} This is an array of body ids to remove at the end of the update */
-var queued_entities_for_removal = null;
+	state_machine.draw(graphics);
 
-/** @type {Player} The active player */
-var player = null;
+	// the touch controls and the achievement toasts are drawn over every screen
+	if (input_handler.touch_input != null) {
+		input_handler.touch_input.draw(graphics);
+	}
+	achievements.draw(graphics);
 
-/* You must implement this, assign it a value in the start() function */
-var enemy_spawner = null;
+	graphics.restore();
+}
 
-/* You must implement this, assign it a value in the start() function */
-var collision_handler = null;
+/**
+ * Draws the scrolling background of the current wave, this clears the screen for the next frame.
+ * 
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ */
+function clearScreen(graphics) {
+	background.setTheme(world.enemy_spawner.theme, world.time);
+	background.draw(graphics, world.time);
+}
 
 /**
- * This function updates the state of the world given a delta time.
+ * This function draws the state of the world to the canvas.
  * 
- * @param {Number} delta_time Time since last update in seconds.
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
  */
-function update(delta_time) {
-	// poll input
-	player.input_handler.pollController();
+function drawWorld(graphics) {
+	// draw background (this clears the screen for the next frame)
+	clearScreen(graphics);
 
-	// move entities
-	Object.values(entities).forEach(entity => {
-		entity.update(delta_time);
+	// for loop over every eneity and draw them
+	world.entities.all().forEach(entity => {
+		entity.draw(graphics);
 	});
+	world.particles.draw(graphics);
+	world.score_keeper.draw(graphics);
 
-	// detect and handle collision events
-	if (collision_handler != null) {
-		collision_handler.update(delta_time);
+	if (renderer.debug) {
+		drawDebug(graphics);
 	}
 
-	// remove enemies
-	queued_entities_for_removal.forEach(id => {
-		player.enemies.splice(id, 1)
-		player.projectiles.splice(id, 1)
-		delete entities[id];
-	})
-	queued_entities_for_removal = [];
-
-	// spawn enemies
-	if (enemy_spawner != null) {
-		enemy_spawner.update(delta_time);
+	// in co-op every player gets their own half of the bottom of the board
+	const half = config.canvas_size.width / world.players.length;
+	world.players.forEach((player, index) => drawEffects(graphics, player, index * half + 5, (index + 1) * half - 5));
 
+	const boss = world.enemy_spawner.boss;
+	if (boss != null && !boss.removed) {
+		drawBossHealth(graphics, boss);
 	}
+}
 
-	// allow the player to restart when dead
-	if (player.isDead() && player.controller.action_1) {
-		start();
-	}
+/**
+ * Draws a title with lines of text below it in the middle of the screen, on top of a faded
+ * version of whatever was drawn before.
+ * 
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ * @param {String} title The big text.
+ * @param {Array<String>} lines The small text, one entry per line.
+ */
+function drawOverlay(graphics, title, lines = []) {
+	graphics.fillStyle = 'rgba(0, 0, 0, 0.6)';
+	graphics.fillRect(0, 0, config.canvas_size.width, config.canvas_size.height);
+
+	const x = config.canvas_size.width / 2;
+	const y = config.canvas_size.height / 2 - lines.length * 8;
+
+	graphics.fillStyle = '#FFFFFF';
+	graphics.font = "30px Arial";
+	graphics.textAlign = "center";
+	graphics.fillText(title, x, y);
+
+	graphics.font = "12px Arial";
+	graphics.textAlign = "center";
+	lines.forEach((line, index) => {
+		graphics.fillText(line, x, y + 18 * (index + 1));
+	});
 }
 
+/**
+ * Draws the hitbox and velocity of every body and a few counters, for the debug overlay.
+ * 
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ */
+function drawDebug(graphics) {
+	world.entities.all().forEach(entity => {
+		entity.drawDebug(graphics);
+	});
+
+	graphics.font = "10px Arial";
+	graphics.textAlign = "right";
+	graphics.fillStyle = '#FF00FF';
+	graphics.fillText(`bodies ${world.entities.size}`, config.canvas_size.width - 5, 40);
+	graphics.fillText(`particles ${world.particles.count}`, config.canvas_size.width - 5, 52);
+	graphics.textAlign = "left";
+}
 
 /**
- * This function draws the state of the world to the canvas.
+ * Draws the weapon, the bombs and the active power up effects of a player along the bottom of the
+ * board. Every effect gets its label and a bar showing the time it has left.
  * 
  * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ * @param {Player} player The player whose effects are drawn.
+ * @param {Number} left Where the weapon and the effects start.
+ * @param {Number} right Where the bombs end.
  */
-function draw(graphics) {
-	// default font config
+function drawEffects(graphics, player, left = 5, right = config.canvas_size.width - 5) {
+	let y = config.canvas_size.height - 10;
+
 	graphics.font = "10px Arial";
 	graphics.textAlign = "left";
+	graphics.fillStyle = world.players.length > 1 ? player.base_color : '#FFFFFF';
+	graphics.fillText(`weapon ${player.weapon.name}`, left, y);
 
-	// draw background (this clears the screen for the next frame)
-	graphics.fillStyle = '#FFFFFF';
-	graphics.fillRect(0, 0, config.canvas_size.width, config.canvas_size.height);
+	graphics.textAlign = "right";
+	graphics.fillText(`bombs ${player.bombs}`, right, y);
+	graphics.textAlign = "left";
 
-	// for loop over every eneity and draw them
-	Object.values(entities).forEach(entity => {
-		entity.draw(graphics);
+	for (let [kind, remaining] of Object.entries(player.effects)) {
+		const power_up = power_ups[kind];
+		y -= 14;
+
+		graphics.fillStyle = power_up.color;
+		graphics.fillText(power_up.label, left, y);
+		graphics.fillRect(left + 13, y - 7, 50 * remaining / power_up.duration, 6);
+	}
+}
+
+/**
+ * Draws the health bar of a boss along the top of the board, with a mark at every phase threshold.
+ * 
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ * @param {Boss} boss The boss being fought.
+ */
+function drawBossHealth(graphics, boss) {
+	const x = 20;
+	const y = 20;
+	const width = config.canvas_size.width - 2 * x;
+	const height = 6;
+
+	graphics.fillStyle = '#B22222';
+	graphics.fillRect(x, y, width * boss.health / boss.max_health, height);
+
+	graphics.strokeStyle = '#FFFFFF';
+	graphics.strokeRect(x, y, width, height);
+	boss.phases.forEach(phase => {
+		graphics.beginPath();
+		graphics.moveTo(x + width * phase.threshold, y);
+		graphics.lineTo(x + width * phase.threshold, y + height);
+		graphics.stroke();
 	});
 
-	// game over screen
-	if (player.isDead()) {
-		graphics.font = "30px Arial";
-		graphics.textAlign = "center";
-		graphics.fillText('Game Over', config.canvas_size.width / 2, config.canvas_size.height / 2);
+	graphics.font = "10px Arial";
+	graphics.textAlign = "left";
+	graphics.fillStyle = '#FFFFFF';
+	graphics.fillText(`boss ${boss.level} - phase ${boss.phase_index + 1}`, x, y - 4);
+}
 
-		graphics.font = "12px Arial";
-		graphics.textAlign = "center";
-		graphics.fillText('press space to restart', config.canvas_size.width / 2, 18 + config.canvas_size.height / 2);
+/**
+ * Writes the stats of the world into the html spans around the canvas.
+ */
+function drawHud() {
+	const over = world.isOver();
+	const players = world.players;
+
+	game_state.innerHTML = `loop count ${world.loop_count}`;
+	numHits.innerHTML = `kill count ${world.enemies_hit}`;
+	timeAlive.innerHTML = `time alive ${!over ? Math.round(world.time_alive) : 0}`;
+	enemyCountSpan.innerHTML = `enemy count ${!over ? world.enemy_count : 0}`;
+	totalScore.innerHTML = `total score ${!over ? world.score : 0}`;
+	if (players.length > 1) {
+		totalScore.innerHTML += ` (${players.map(player => `P${player.index + 1} ${player.points}`).join(' / ')})`;
 	}
+	highScore.innerHTML = `high score ${Math.max(world.high_score, leaderboard.best_score)}`;
+	health.innerHTML = `health ${players.map(player => player.health).join(' / ')}`;
 }
 
 /**
@@ -718,14 +6416,6 @@ function loop(curr_time) {
 
 	var delta_time = curr_time - last_time;
 
-	timeAliveCount = curr_time - prevAliveCount
-	masterTime = curr_time
-	if (player.health == 0) {timeAliveCount = prevAliveCount}
-	currerntHighScore = Math.floor(30 * enemiesHit + timeAliveCount)
-	if (currerntHighScore > masterHighScore) {
-		masterHighScore = currerntHighScore
-	}
-
 	// this allows us to make stable steps in our update functions
 	while (delta_time > config.update_rate.seconds) {
 		update(config.update_rate.seconds);
@@ -733,40 +6423,564 @@ function loop(curr_time) {
 
 		delta_time -= config.update_rate.seconds;
 		last_time = curr_time;
-		loop_count++;
 
-		game_state.innerHTML = `loop count ${loop_count}`;
-		numHits.innerHTML = `kill count ${enemiesHit}`;
-		timeAlive.innerHTML = `time alive ${player.health > 0 ? Math.round(timeAliveCount) : 0}`;
-		enemyCountSpan.innerHTML = `enemy count ${player.health > 0 ? enemyCount : 0}`;
-		totalScore.innerHTML = `total score ${player.health > 0 ? currerntHighScore : 0}`;
-		highScore.innerHTML = `high score ${masterHighScore}`;
-		health.innerHTML = `health ${player.health}`;
+		drawHud();
 	}
 
 	window.requestAnimationFrame(loop);
 }
 
-function start() {
-	//resets all the stats
-	if (currerntHighScore > masterHighScore) {
-		masterHighScore = currerntHighScore
+/**
+ * @param {Number} accuracy A fraction between zero and one.
+ * @returns {String} The accuracy as a whole percentage.
+ */
+function formatAccuracy(accuracy) {
+	return `${Math.round(accuracy * 100)}%`;
+}
+
+/**
+ * Creates a new live world and starts recording it and counting it for the achievements. The
+ * high score carries over from the previous world.
+ * 
+ * @param {Number} player_count 1 for a normal run, 2 for local co-op.
+ */
+function start(player_count = 1) {
+	const high_score = world != null ? world.high_score : 0;
+
+	world = new World(config, Date.now(), player_count);
+	world.high_score = high_score;
+	recorder = new Recorder(world);
+	achievements.world = world;
+}
+
+/**
+ * Downloads the recording of the current run as a replay file.
+ */
+function saveReplay() {
+	if (recorder == null) {
+		return;
+	}
+
+	const link = document.createElement('a');
+	link.href = URL.createObjectURL(new Blob([JSON.stringify(recorder)], { type: 'application/json' }));
+	link.download = `replay-${recorder.seed}.json`;
+	link.click();
+	URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Stops the live game and starts watching the given replay.
+ * 
+ * @param {Object} replay The replay file contents.
+ */
+function watchReplay(replay) {
+	// check the replay before leaving the current state
+	const input = new ReplayInput(replay);
+
+	state_machine.change('title');
+	replay_input = input;
+	world = input.createWorld();
+	recorder = null;
+	state_machine.change('replay');
+}
+
+/**
+ * Loads the mod scripts in config.mods one after another, so a mod can build on the ones before
+ * it. A mod that can not be loaded is skipped.
+ * 
+ * @returns {Promise} Resolves once every mod was loaded or skipped.
+ */
+function loadMods() {
+	return config.mods.reduce((previous, url) => previous.then(() => new Promise(resolve => {
+		const script = document.createElement('script');
+		script.src = url;
+		script.addEventListener('load', () => {
+			Game.mods.push(url);
+			resolve();
+		});
+		script.addEventListener('error', () => {
+			alert(`Could not load the mod ${url}`);
+			resolve();
+		});
+		document.body.appendChild(script);
+	})), Promise.resolve());
+}
+
+/**
+ * Saves a snapshot of the live run and its recording in local storage, to be continued later.
+ */
+function saveRun() {
+	if (recorder == null || world.isOver()) {
+		return;
+	}
+
+	const snapshot = world.toSnapshot();
+	snapshot.recording = { ticks: recorder.ticks, runs: recorder.runs };
+	try {
+		localStorage.setItem('space_shooter.saved_run', JSON.stringify(snapshot));
+		saved_run = snapshot;
+	} catch (error) {
+		console.warn(`Could not save the run: ${error.message}`);
+	}
+}
+
+/**
+ * Reads the run saved by saveRun, if there is one. Saves of another snapshot version are dropped.
+ */
+function loadSavedRun() {
+	try {
+		const snapshot = JSON.parse(localStorage.getItem('space_shooter.saved_run'));
+		if (snapshot != null && snapshot.version !== SNAPSHOT_VERSION) {
+			throw new Error(`unsupported snapshot version ${snapshot.version}`);
+		}
+		saved_run = snapshot;
+	} catch (error) {
+		console.warn(`Dropping saved run: ${error.message}`);
+		forgetSavedRun();
+	}
+}
+
+/**
+ * Deletes the saved run, once it is over or replaced by a new one.
+ */
+function forgetSavedRun() {
+	saved_run = null;
+	localStorage.removeItem('space_shooter.saved_run');
+}
+
+/**
+ * Picks the saved run up where it was left, paused so the player can get ready. The recording
+ * carries on too, so the replay of the run still starts from its beginning.
+ */
+function continueRun() {
+	let restored;
+	try {
+		restored = World.fromSnapshot(saved_run);
+	} catch (error) {
+		alert(`Could not continue the run: ${error.message}`);
+		forgetSavedRun();
+		return;
+	}
+
+	restored.high_score = Math.max(restored.high_score, world.high_score);
+	world = restored;
+	recorder = new Recorder(world);
+	achievements.world = world;
+	recorder.ticks = saved_run.recording.ticks;
+	recorder.runs = saved_run.recording.runs.map(run => run.slice());
+	state_machine.change('paused');
+}
+
+/**
+ * Stops the live game and joins a room on a relay server to play online co-op.
+ * 
+ * @param {String} url The WebSocket url of the server, like ws://localhost:8080.
+ * @param {String} room The name of the room, both players need to pick the same.
+ * @throws {SyntaxError} If the url is not a WebSocket url.
+ */
+function joinOnline(url, room) {
+	// check the url before leaving the current state
+	const socket = new WebSocket(url);
+
+	state_machine.change('title');
+	net_session = new NetSession(socket, room, config);
+	state_machine.change('online');
+}
+
+/**
+ * Downloads the leaderboard as a JSON file.
+ */
+function exportLeaderboard() {
+	const link = document.createElement('a');
+	link.href = URL.createObjectURL(new Blob([JSON.stringify(leaderboard, null, '\t')], { type: 'application/json' }));
+	link.download = 'leaderboard.json';
+	link.click();
+	URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Binds the leaderboard buttons under the canvas.
+ */
+function setupLeaderboardControls() {
+	const export_button = document.getElementById('export_leaderboard');
+	export_button.addEventListener('click', () => {
+		exportLeaderboard();
+		// keep space from pressing the button again
+		export_button.blur();
+	});
+
+	const import_input = document.getElementById('import_leaderboard');
+	import_input.addEventListener('change', () => {
+		const file = import_input.files[0];
+		if (file == null) {
+			return;
+		}
+
+		file.text().then(text => {
+			try {
+				leaderboard.import(text);
+			} catch (error) {
+				alert(`Could not import leaderboard: ${error.message}`);
+			}
+		});
+		import_input.value = '';
+		import_input.blur();
+	});
+}
+
+/**
+ * Picks the settings the game starts with. Settings in the url win over the ones saved by the
+ * options menu, which win over the normal preset.
+ */
+function loadSettings() {
+	try {
+		const saved = JSON.parse(localStorage.getItem('space_shooter.settings'));
+		if (saved != null) {
+			config.settings = validateSettings(Object.assign({ preset: 'custom' }, saved));
+		}
+	} catch (error) {
+		console.warn(`Dropping saved settings: ${error.message}`);
+	}
+
+	try {
+		const shared = settingsFromQuery(window.location.search);
+		if (shared != null) {
+			config.settings = validateSettings(shared);
+		}
+	} catch (error) {
+		alert(`Could not use the settings in the url: ${error.message}`);
+	}
+}
+
+/**
+ * Replaces the settings and saves them. The address bar is kept pointing at the new settings, so
+ * it can be shared. They are used from the next run on.
+ * 
+ * @param {Object} values The settings, in the format taken by validateSettings.
+ * @throws {Error} If the settings are invalid, the current settings are kept.
+ */
+function changeSettings(values) {
+	config.settings = validateSettings(values);
+	localStorage.setItem('space_shooter.settings', JSON.stringify(config.settings));
+	history.replaceState(null, '', `${window.location.pathname}${settingsToQuery(config.settings)}`);
+}
+
+/**
+ * Downloads the current settings as a JSON file that can be loaded again.
+ */
+function exportSettings() {
+	const settings = Object.assign({ preset: settingsPreset(config.settings) }, config.settings);
+	const link = document.createElement('a');
+	link.href = URL.createObjectURL(new Blob([JSON.stringify(settings, null, '\t')], { type: 'application/json' }));
+	link.download = 'settings.json';
+	link.click();
+	URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Binds the settings buttons under the canvas. Loading a settings file stops the current run and
+ * shows the loaded settings in the options menu.
+ */
+function setupSettingsControls() {
+	const export_button = document.getElementById('export_settings');
+	export_button.addEventListener('click', () => {
+		exportSettings();
+		// keep space from pressing the button again
+		export_button.blur();
+	});
+
+	const load_input = document.getElementById('load_settings');
+	load_input.addEventListener('change', () => {
+		const file = load_input.files[0];
+		if (file == null) {
+			return;
+		}
+
+		file.text().then(text => {
+			try {
+				changeSettings(JSON.parse(text));
+				state_machine.change('options');
+			} catch (error) {
+				alert(`Could not load settings: ${error.message}`);
+			}
+		});
+		load_input.value = '';
+		load_input.blur();
+	});
+}
+
+/**
+ * @returns {String} The music track that fits the active state, null for silence.
+ */
+function currentMusic() {
+	switch (state_machine.name) {
+		case 'playing':
+		case 'paused':
+		case 'replay':
+		case 'online':
+			return world.enemy_spawner.boss != null ? 'boss' : 'gameplay';
+		case 'game_over':
+			return null;
+		default:
+			return 'title';
+	}
+}
+
+/**
+ * Connects the sound panel to the audio engine and shows the saved settings in it. The panel is
+ * hidden when the browser has no Web Audio.
+ */
+function setupAudioControls() {
+	if (audio == null) {
+		document.getElementById('sound').style.display = 'none';
+		return;
+	}
+
+	for (let name of ['master', 'sfx', 'music']) {
+		const slider = document.getElementById(`${name}_volume`);
+		slider.value = audio.settings[name];
+		slider.addEventListener('input', () => audio.set(name, Number(slider.value)));
+	}
+
+	const mute = document.getElementById('mute');
+	mute.checked = audio.settings.muted;
+	mute.addEventListener('change', () => {
+		audio.set('muted', mute.checked);
+		// keep space from toggling it again
+		mute.blur();
+	});
+}
+
+/**
+ * Fills the controls panel of an input handler with a row per action, listing the keys bound to
+ * it. Clicking a key unbinds it and the add button binds the next key pressed. Called again after
+ * every change.
+ * 
+ * @param {InputHandler} handler The handler whose bindings are shown.
+ * @param {String} panel_id The id of the element the rows go into.
+ */
+function renderBindings(handler = input_handler, panel_id = 'bindings') {
+	const panel = document.getElementById(panel_id);
+	panel.replaceChildren();
+
+	for (let [action, codes] of Object.entries(handler.bindings)) {
+		const row = document.createElement('div');
+		const label = document.createElement('span');
+		label.textContent = action;
+		row.appendChild(label);
+
+		for (let code of codes) {
+			const key = document.createElement('button');
+			key.textContent = code;
+			key.title = 'click to unbind';
+			key.addEventListener('click', () => {
+				handler.unbind(code);
+				renderBindings(handler, panel_id);
+			});
+			row.appendChild(key);
+		}
+
+		const add = document.createElement('button');
+		add.textContent = '+';
+		add.title = 'bind the next key pressed';
+		add.addEventListener('click', () => {
+			add.textContent = 'press a key';
+			// keep space from pressing the button again
+			add.blur();
+			handler.capture = (code) => {
+				handler.bind(action, code);
+				renderBindings(handler, panel_id);
+			};
+		});
+		row.appendChild(add);
+
+		panel.appendChild(row);
+	}
+
+	const reset = document.createElement('button');
+	reset.textContent = 'reset to defaults';
+	reset.addEventListener('click', () => {
+		handler.resetBindings();
+		renderBindings(handler, panel_id);
+	});
+	panel.appendChild(reset);
+}
+
+/**
+ * Binds the online panel under the canvas. The server defaults to the one serving the page, see
+ * server.js.
+ */
+function setupOnlineControls() {
+	const url_input = document.getElementById('server_url');
+	url_input.value = `ws://${window.location.host || 'localhost:8080'}`;
+
+	const room_input = document.getElementById('online_room');
+	const join_button = document.getElementById('join_online');
+	join_button.addEventListener('click', () => {
+		try {
+			joinOnline(url_input.value.trim(), room_input.value.trim() || 'default');
+		} catch (error) {
+			alert(`Could not connect: ${error.message}`);
+		}
+		// keep space from pressing the button again
+		join_button.blur();
+	});
+}
+
+/**
+ * Lists every achievement with its progress in the achievements panel under the canvas.
+ */
+function renderAchievements() {
+	const panel = document.getElementById('achievements');
+	panel.replaceChildren();
+
+	for (let [id, definition] of Object.entries(achievements.definitions)) {
+		const record = achievements.records[id];
+		const row = document.createElement('div');
+		row.textContent = record.unlocked != null
+			? `${definition.title}: ${definition.description}, unlocked ${record.unlocked.slice(0, 10)}`
+			: `${definition.title}: ${definition.description}, best ${record.progress} of ${definition.goal}`;
+		panel.appendChild(row);
 	}
-	prevAliveCount = masterTime
-	enemiesHit = 0;
-	enemyCount = 0
-	timeAliveCount = 0
+}
+
+/**
+ * Binds the replay buttons under the canvas.
+ */
+function setupReplayControls() {
+	const save_button = document.getElementById('save_replay');
+	save_button.addEventListener('click', () => {
+		saveReplay();
+		// keep space from pressing the button again
+		save_button.blur();
+	});
 
-	entities = [];
-	queued_entities_for_removal = [];
-	player = new Player();
+	const load_input = document.getElementById('load_replay');
+	load_input.addEventListener('change', () => {
+		const file = load_input.files[0];
+		if (file == null) {
+			return;
+		}
 
-	enemy_spawner = new Enemy()
-	// collision_handler = your implementation
+		file.text().then(text => {
+			try {
+				watchReplay(JSON.parse(text));
+			} catch (error) {
+				alert(`Could not load replay: ${error.message}`);
+			}
+		});
+		load_input.value = '';
+		load_input.blur();
+	});
 }
 
-// start the game
-start();
+if (typeof window !== 'undefined') {
+	setupCanvas();
+	setupReplayControls();
+	setupLeaderboardControls();
+	setupSettingsControls();
+	setupOnlineControls();
+	loadSettings();
+	loadSavedRun();
+
+	leaderboard = new Leaderboard();
+	achievements = new Achievements(achievement_definitions);
+	achievements.listen(game_events);
+	achievements.onchange = renderAchievements;
+	renderAchievements();
+
+	// the loading screen waits for the assets and the mods before showing the title screen
+	renderer = new Renderer(asset_manifest);
+	renderer.load();
+	loadMods().then(() => mods_loaded = true);
+	background = new Background(background_themes);
+	background.fit(viewport.pixel_ratio);
+
+	if (window.AudioContext != null || window.webkitAudioContext != null) {
+		audio = new AudioEngine();
+		// browsers only start audio once the page is interacted with
+		window.addEventListener("keydown", () => audio.resume(), false);
+		window.addEventListener("pointerdown", () => audio.resume(), false);
+	}
+	setupAudioControls();
+
+	// bind the keyboard, the input handler is pointed at the current player on every update
+	input_handler = new InputHandler(null);
+	input_handler.touch_input = new TouchInput(document.getElementById('game_canvas'));
+	input_handler_two = new InputHandler(null, player_two_bindings, 'space_shooter.bindings.player_two');
+	input_handler_two.gamepad_index = 1;
+	renderBindings();
+	renderBindings(input_handler_two, 'bindings_two');
+
+	// pause the game when the window loses focus, which saves the run
+	window.addEventListener("blur", () => {
+		if (state_machine.name == 'playing') {
+			state_machine.change('paused');
+		}
+	}, false);
+	// the page can also be closed without losing focus first
+	window.addEventListener("pagehide", () => {
+		if (state_machine.name == 'playing') {
+			saveRun();
+		}
+	}, false);
+
+	// create the first world and show the title screen
+	start();
+	state_machine = new StateMachine();
+	state_machine.change('loading');
+
+	// start the loop
+	window.requestAnimationFrame(loop);
+}
 
-// start the loop
-window.requestAnimationFrame(loop);
\ No newline at end of file
+// expose the simulation when loaded as a node module, e.g. by headless.js
+if (typeof module !== 'undefined') {
+	module.exports = {
+		config,
+		enemy_types,
+		Random,
+		Body,
+		Player,
+		Projectile,
+		Weapon,
+		SpreadWeapon,
+		RapidWeapon,
+		PiercingWeapon,
+		weapon_types,
+		PowerUp,
+		power_ups,
+		Enemy,
+		DrifterEnemy,
+		KamikazeEnemy,
+		TankEnemy,
+		SplitterEnemy,
+		TurretEnemy,
+		Boss,
+		CollisionHandler,
+		EnemySpawner,
+		Game,
+		ScoreKeeper,
+		settings_schema,
+		settings_presets,
+		validateSettings,
+		settingsPreset,
+		settingsFromQuery,
+		settingsToQuery,
+		EntityManager,
+		ParticleSystem,
+		World,
+		SNAPSHOT_VERSION,
+		event_types,
+		EventBus,
+		game_events,
+		Recorder,
+		ReplayInput,
+		runResult,
+		stateHash,
+		NetSession,
+		Leaderboard,
+		achievement_definitions,
+		Achievements
+	};
+}
@@ -0,0 +1,441 @@
+/*
+Checks the parts of the game that have to keep working under node without a browser: runs with the
+same seed play out the same, replays and snapshots pick a run up exactly, settings from untrusted
+sources are checked, and the relay in server.js survives bad clients.
+
+Prints a line per check and exits with 1 if any of them failed. The relay checks need a node with
+WebSocket, node 22 or node 20 with --experimental-websocket, and are skipped without one.
+
+usage: node test.js
+*/
+
+const assert = require('assert');
+const { spawn } = require('child_process');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const {
+	config, World, Recorder, ReplayInput, runResult, stateHash, validateSettings, settingsFromQuery,
+	settingsToQuery, settings_presets, NetSession, Projectile, Enemy, TurretEnemy, Boss, game_events,
+	event_types, Leaderboard
+} = require('./space_shooter.js');
+
+/** @type {Array<Object>} Every check, by name, in the order they run */
+const tests = [];
+
+/**
+ * Adds a check.
+ * 
+ * @param {String} name What is checked.
+ * @param {Function} run Throws, or returns a promise that rejects, if the check fails.
+ */
+function test(name, run) {
+	tests.push({ name, run });
+}
+
+/**
+ * Feeds a fixed pattern of input to every player, sweeping left and right while firing.
+ * 
+ * @param {World} world The world to play.
+ * @param {Number} ticks The number of updates to play.
+ */
+function play(world, ticks) {
+	for (let i = 0; i < ticks && !world.isOver(); i++) {
+		world.players.forEach((player, index) => {
+			player.controller.move_x = Math.sin((world.loop_count + index * 30) / 40) > 0 ? 1 : -1;
+			player.controller.move_y = world.loop_count % 200 < 100 ? -0.5 : 0.5;
+			player.controller.action_1 = true;
+			player.controller.bomb = world.loop_count % 500 == 250;
+		});
+		world.update(config.update_rate.seconds);
+	}
+}
+
+/**
+ * @param {Object} settings The settings to play with.
+ * @returns {Object} A copy of the config with other settings.
+ */
+function withSettings(settings) {
+	return Object.assign({}, config, { settings: validateSettings(settings) });
+}
+
+test('the same seed plays out the same', () => {
+	const first = new World(config, 42, 2);
+	const second = new World(config, 42, 2);
+	play(first, 1200);
+	play(second, 1200);
+	assert.strictEqual(stateHash(first), stateHash(second));
+	assert.deepStrictEqual(runResult(first), runResult(second));
+
+	const other = new World(config, 43, 2);
+	play(other, 1200);
+	assert.notStrictEqual(stateHash(other), stateHash(first));
+});
+
+test('a replay plays out the same as the recorded run', () => {
+	const world = new World(withSettings({ preset: 'hard' }), 7);
+	const recorder = new Recorder(world);
+	for (let i = 0; i < 900 && !world.isOver(); i++) {
+		world.player.controller.move_x = i % 120 < 60 ? 1 : -1;
+		world.player.controller.action_1 = i % 3 != 0;
+		recorder.record(world.player.controller);
+		world.update(config.update_rate.seconds);
+	}
+	const result = runResult(world);
+
+	const input = new ReplayInput(JSON.parse(JSON.stringify(recorder)));
+	const replayed = input.createWorld();
+	while (!input.finished) {
+		input.players = replayed.players;
+		input.pollController();
+		replayed.update(config.update_rate.seconds);
+	}
+	assert.deepStrictEqual(runResult(replayed), result);
+});
+
+test('a restored snapshot saves the same and plays on the same', () => {
+	for (let seed of [1, 2, 3]) {
+		const live = new World(config, seed, seed == 3 ? 2 : 1);
+		play(live, 400);
+		const snapshot = live.toSnapshot();
+
+		const restored = World.fromSnapshot(snapshot);
+		assert.deepStrictEqual(restored.toSnapshot(), snapshot);
+
+		play(live, 600);
+		play(restored, 600);
+		assert.strictEqual(stateHash(restored), stateHash(live));
+		assert.deepStrictEqual(runResult(restored), runResult(live));
+	}
+});
+
+test('restoring a snapshot spawns nothing and emits no events', () => {
+	const live = new World(config, 4);
+	play(live, 300);
+	const snapshot = live.toSnapshot();
+
+	const emitted = [];
+	const listeners = Object.keys(event_types).map(name => [name, () => emitted.push(name)]);
+	listeners.forEach(([name, listener]) => game_events.on(name, listener));
+	try {
+		World.fromSnapshot(snapshot);
+	} finally {
+		listeners.forEach(([name, listener]) => game_events.off(name, listener));
+	}
+	assert.deepStrictEqual(emitted, []);
+});
+
+test('a projectile whose owner is gone saves and restores again', () => {
+	const live = new World(config, 9);
+	let shot = null;
+	for (let i = 0; i < 6000 && shot == null; i++) {
+		live.player.health = live.player.max_health;
+		play(live, 1);
+		shot = live.entities.all(Projectile).find(projectile => projectile.owner instanceof Enemy && !projectile.removed);
+	}
+	assert.ok(shot != null, 'no enemy fired');
+
+	// the enemy that fired is destroyed before the save
+	const snapshot = live.toSnapshot();
+	snapshot.entities = snapshot.entities.filter(data => data.id != shot.owner.id);
+
+	const restored = World.fromSnapshot(snapshot);
+	assert.strictEqual(restored.entities.get(shot.id).owner, null);
+	const saved_again = restored.toSnapshot();
+	assert.strictEqual(saved_again.entities.find(data => data.id == shot.id).owner, null);
+	assert.deepStrictEqual(World.fromSnapshot(saved_again).toSnapshot(), saved_again);
+});
+
+test('snapshots of another version are rejected', () => {
+	const snapshot = new World(config, 1).toSnapshot();
+	snapshot.version = 0;
+	assert.throws(() => World.fromSnapshot(snapshot), /Unsupported snapshot version/);
+});
+
+test('settings out of range or unknown are rejected', () => {
+	assert.deepStrictEqual(validateSettings({}), settings_presets.normal);
+	assert.deepStrictEqual(validateSettings({ preset: 'hard' }), settings_presets.hard);
+	assert.strictEqual(validateSettings({ preset: 'easy', enemy_speed: 2 }).enemy_speed, 2);
+
+	assert.throws(() => validateSettings({ enemy_speed: 2.5 }), /enemy_speed must be a number/);
+	assert.throws(() => validateSettings({ despawn_margin: -5 }), /despawn_margin must be a number/);
+	assert.throws(() => validateSettings({ spawn_rate: '1' }), /spawn_rate must be a number/);
+	assert.throws(() => validateSettings({ enemy_damage: NaN }), /enemy_damage must be a number/);
+	assert.throws(() => validateSettings({ gravity: 1 }), /Unknown setting gravity/);
+	assert.throws(() => validateSettings({ preset: 'nightmare' }), /Unknown preset/);
+	assert.throws(() => validateSettings(null), /must be an object/);
+	assert.throws(() => validateSettings([]), /must be an object/);
+});
+
+test('settings survive the url', () => {
+	assert.strictEqual(settingsFromQuery('?seed=4'), null);
+	assert.deepStrictEqual(settingsFromQuery('?preset=hard&enemy_speed=1.5&other=1'), { preset: 'hard', enemy_speed: 1.5 });
+	assert.throws(() => validateSettings(settingsFromQuery('?enemy_speed=')), /enemy_speed must be a number/);
+	assert.throws(() => validateSettings(settingsFromQuery('?enemy_speed=fast')), /enemy_speed must be a number/);
+
+	const custom = validateSettings({ preset: 'custom', enemy_speed: 1.5, despawn_margin: 15 });
+	assert.strictEqual(settingsToQuery(settings_presets.hard), '?preset=hard');
+	assert.deepStrictEqual(validateSettings(Object.assign({ preset: 'custom' }, settingsFromQuery(settingsToQuery(custom)))), custom);
+});
+
+test('turrets and the boss stop on their line at any enemy speed', () => {
+	for (let enemy_speed of [0.5, 1, 1.35, 2]) {
+		const world = new World(withSettings({ preset: 'custom', enemy_speed }), 1);
+		const turret = world.entities.create(TurretEnemy, 100);
+		const boss = world.entities.create(Boss, 180, 1);
+		let turret_lowest = -Infinity;
+		let boss_lowest = -Infinity;
+		for (let i = 0; i < 600; i++) {
+			world.player.health = world.player.max_health;
+			world.update(config.update_rate.seconds);
+			if (!turret.leaving && !turret.removed) {
+				turret_lowest = Math.max(turret_lowest, turret.position.y);
+			}
+			boss_lowest = Math.max(boss_lowest, boss.position.y);
+		}
+		assert.ok(Math.abs(turret_lowest - turret.hold_y) < 1e-9, `turret at ${turret_lowest}, not ${turret.hold_y}, at speed ${enemy_speed}`);
+		assert.ok(Math.abs(boss_lowest - boss.hold_y) < 1e-9, `boss at ${boss_lowest}, not ${boss.hold_y}, at speed ${enemy_speed}`);
+	}
+});
+
+test('waves with an unknown enemy type fail when the world is made', () => {
+	const waves = JSON.parse(JSON.stringify(config.waves));
+	waves.waves[1].groups[0].type = 'zigzag';
+	assert.throws(() => new World(Object.assign({}, config, { waves }), 1), /Unknown enemy type zigzag/);
+
+	waves.waves[1].groups[0].type = 'basic';
+	waves.boss.type = 'dragon';
+	assert.throws(() => new World(Object.assign({}, config, { waves }), 1), /Unknown enemy type dragon/);
+});
+
+/**
+ * @param {Object} stored The items in storage, by key.
+ * @returns {Storage} A storage that keeps its items in the given object.
+ */
+function memoryStorage(stored = {}) {
+	return {
+		getItem: key => key in stored ? stored[key] : null,
+		setItem: (key, value) => stored[key] = String(value),
+		removeItem: key => delete stored[key]
+	};
+}
+
+test('leaderboards of the old unversioned format are migrated', () => {
+	// high_scores was kept highest first
+	const old = [{ initials: 'CD', score: 900 }, { initials: 'AB', score: 300 }, { initials: 5, score: 100 }];
+	const leaderboard = new Leaderboard(10, memoryStorage({ 'space_shooter.leaderboard': JSON.stringify(old) }));
+	assert.deepStrictEqual(leaderboard.entries, [
+		{ initials: 'CD', score: 900, kills: 0, time_alive: 0, enemies_spawned: 0, accuracy: 0, date: null },
+		{ initials: 'AB', score: 300, kills: 0, time_alive: 0, enemies_spawned: 0, accuracy: 0, date: null }
+	]);
+	assert.deepStrictEqual(Leaderboard.migrate({ version: 0, entries: old }), Leaderboard.migrate(old));
+	assert.throws(() => Leaderboard.migrate({ version: 2, entries: [] }), /Unsupported leaderboard version 2/);
+});
+
+test('leaderboard imports drop invalid entries and runs already on the board', () => {
+	const stored = {};
+	const leaderboard = new Leaderboard(10, memoryStorage(stored));
+	leaderboard.add({ initials: 'AB', score: 100, kills: 2, time_alive: 30, enemies_spawned: 9, accuracy: 0.5, date: '2024-05-01T10:00:00.000Z' });
+	const exported = JSON.stringify(leaderboard);
+	leaderboard.import(exported);
+	leaderboard.import(exported);
+	assert.strictEqual(leaderboard.entries.length, 1);
+
+	leaderboard.import('{"version":1,"entries":[{"score":"999999","date":5},{"foo":1},null]}');
+	assert.strictEqual(leaderboard.entries.length, 1);
+	assert.deepStrictEqual(new Leaderboard(10, memoryStorage(stored)).entries, leaderboard.entries);
+});
+
+/**
+ * Makes an online session on a socket that is only pretended, messages from the server are passed
+ * in by hand.
+ * 
+ * @returns {Object} The session, what it sent and a function that delivers a message to it.
+ */
+function fakeSession() {
+	const listeners = {};
+	const sent = [];
+	const socket = {
+		readyState: 1,
+		send: text => sent.push(JSON.parse(text)),
+		addEventListener: (name, listener) => listeners[name] = listener,
+		close() {}
+	};
+	const session = new NetSession(socket, 'test', config);
+	return { session, sent, deliver: message => listeners.message({ data: typeof message === 'string' ? message : JSON.stringify(message) }) };
+}
+
+test('online sessions fail with a reason on a bad config from the other player', () => {
+	const configs = [
+		undefined,
+		null,
+		{},
+		Object.assign({}, config, { settings: { enemy_speed: 99 } }),
+		Object.assign({}, config, { waves: { waves: 'many' } }),
+		Object.assign({}, config, { mods: ['mods/zigzag.js'] })
+	];
+	for (let other_config of configs) {
+		const { session, deliver } = fakeSession();
+		deliver({ type: 'start', slot: 1, seed: 5, players: 2, config: other_config });
+		assert.strictEqual(session.status, 'closed');
+		assert.match(session.error, /^Can not play the game of the other player: /);
+	}
+
+	const broken = fakeSession();
+	broken.deliver('{');
+	assert.strictEqual(broken.session.status, 'closed');
+	assert.match(broken.session.error, /^bad message from the server/);
+
+	const { session, deliver } = fakeSession();
+	deliver({ type: 'start', slot: 1, seed: 5, players: 2, config: JSON.parse(JSON.stringify(config)) });
+	assert.strictEqual(session.status, 'playing');
+	assert.deepStrictEqual(session.createWorld().config.settings, config.settings);
+});
+
+test('online sessions stop at the first update the hashes differ', () => {
+	const { session, sent, deliver } = fakeSession();
+	deliver({ type: 'start', slot: 0, seed: 5, players: 2, config: JSON.parse(JSON.stringify(config)) });
+	const world = session.createWorld();
+	for (let tick = 0; tick < 20; tick++) {
+		deliver({ type: 'input', tick, slot: 1, code: '0:0:0' });
+	}
+
+	const controller = { move_x: 0, move_y: 0, action_1: true, bomb: false };
+	for (let i = 0; i <= 6; i++) {
+		assert.ok(session.step(world, controller));
+		const hash = sent.filter(message => message.type == 'hash').pop();
+		deliver({ type: 'hash', tick: hash.tick, hash: i == 6 ? hash.hash + 1 : hash.hash });
+	}
+	assert.strictEqual(session.desync_tick, 6);
+	assert.ok(!session.step(world, controller));
+});
+
+/**
+ * Starts the relay on a free port.
+ * 
+ * @returns {Promise<Object>} Resolves with the server process and its port once it listens.
+ */
+function startServer() {
+	return new Promise((resolve, reject) => {
+		const server = spawn(process.execPath, [path.join(__dirname, 'server.js'), '0'], { stdio: ['ignore', 'pipe', 'inherit'] });
+		server.stdout.once('data', data => {
+			const match = /localhost:(\d+)/.exec(data.toString());
+			match != null ? resolve({ server, port: Number(match[1]) }) : reject(new Error(`Unexpected output ${data}`));
+		});
+		server.once('exit', code => reject(new Error(`The server exited with ${code}`)));
+	});
+}
+
+/**
+ * Sends a raw http request.
+ * 
+ * @param {Number} port The port of the server.
+ * @param {String} request_line The first line of the request, like GET / HTTP/1.1.
+ * @returns {Promise<Number>} Resolves with the status code of the answer.
+ */
+function rawRequest(port, request_line) {
+	return new Promise((resolve, reject) => {
+		const socket = net.connect(port, 'localhost', () => socket.write(`${request_line}\r\nHost: localhost\r\nConnection: close\r\n\r\n`));
+		let answer = '';
+		socket.on('data', data => answer += data);
+		socket.on('end', () => resolve(Number(answer.split(' ')[1])));
+		socket.on('error', reject);
+		socket.setTimeout(2000, () => reject(new Error(`No answer to ${request_line}`)));
+	});
+}
+
+/**
+ * Opens a WebSocket to the relay and collects the messages it sends.
+ * 
+ * @param {Number} port The port of the server.
+ * @returns {Promise<Object>} Resolves with the socket, its messages and a function that waits for
+ * a message of a type, once it is open.
+ */
+function connect(port) {
+	return new Promise((resolve, reject) => {
+		const socket = new WebSocket(`ws://localhost:${port}`);
+		const messages = [];
+		const waiting = [];
+		socket.addEventListener('message', event => {
+			const message = JSON.parse(event.data);
+			messages.push(message);
+			waiting.filter(wait => wait.type == message.type).forEach(wait => wait.resolve(message));
+		});
+		socket.addEventListener('error', () => reject(new Error('Could not connect')));
+		socket.addEventListener('open', () => resolve({
+			socket,
+			messages,
+			next: type => new Promise(resolve => {
+				const message = messages.find(message => message.type == type);
+				message != null ? resolve(message) : waiting.push({ type, resolve });
+			}),
+			closed: () => new Promise(resolve => socket.readyState == 3 ? resolve() : socket.addEventListener('close', event => resolve(event.code)))
+		}));
+	});
+}
+
+test('the relay starts rooms, passes on leaving and survives bad clients', async () => {
+	if (typeof WebSocket === 'undefined') {
+		console.log('  skipped, this node has no WebSocket');
+		return;
+	}
+
+	const { server, port } = await startServer();
+	try {
+		for (let request_line of ['GET /%E0%A4%A.js HTTP/1.1', 'GET //[ HTTP/1.1', 'GET //x:99999 HTTP/1.1', 'GET / HTTP/9']) {
+			assert.strictEqual(await rawRequest(port, request_line), 400);
+		}
+
+		for (let text of ['null', '5', '"join"', '{']) {
+			const bad = await connect(port);
+			bad.socket.send(text);
+			assert.strictEqual(await bad.closed(), 1003);
+		}
+
+		const first = await connect(port);
+		const second = await connect(port);
+		first.socket.send(JSON.stringify({ type: 'join', room: 'test', config: { mods: [] } }));
+		assert.strictEqual((await first.next('joined')).slot, 0);
+		second.socket.send(JSON.stringify({ type: 'join', room: 'test', config: {} }));
+		const [start_first, start_second] = await Promise.all([first.next('start'), second.next('start')]);
+		assert.strictEqual(start_first.seed, start_second.seed);
+		assert.deepStrictEqual(start_second.config, { mods: [] });
+		assert.deepStrictEqual([start_first.slot, start_second.slot], [0, 1]);
+
+		const third = await connect(port);
+		third.socket.send(JSON.stringify({ type: 'join', room: 'test' }));
+		assert.strictEqual((await third.next('full')).room, 'test');
+
+		first.socket.send(JSON.stringify({ type: 'input', tick: 4, code: '0:0:1' }));
+		assert.deepStrictEqual(await second.next('input'), { type: 'input', tick: 4, code: '0:0:1', slot: 0 });
+
+		second.socket.close();
+		assert.strictEqual((await first.next('left')).slot, 1);
+		first.socket.close();
+
+		// still serving after all of it
+		const status = await new Promise(resolve => http.get({ port, path: '/space_shooter.html' }, response => {
+			response.resume();
+			resolve(response.statusCode);
+		}));
+		assert.strictEqual(status, 200);
+	} finally {
+		server.kill();
+	}
+});
+
+(async () => {
+	let failed = 0;
+	for (let { name, run } of tests) {
+		try {
+			await run();
+			console.log(`ok ${name}`);
+		} catch (error) {
+			failed += 1;
+			console.log(`FAIL ${name}\n${error.stack}`);
+		}
+	}
+
+	console.log(`${tests.length - failed} of ${tests.length} passed`);
+	process.exitCode = failed > 0 ? 1 : 0;
+})();